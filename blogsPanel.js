@@ -4,9 +4,21 @@ const cors = require("cors");
 const multer = require("multer");
 const { CloudinaryStorage } = require("multer-storage-cloudinary");
 const cloudinary = require("cloudinary").v2;
+const sharp = require("sharp");
+const sanitizeHtml = require("sanitize-html");
+const AdmZip = require("adm-zip");
+const { XMLParser } = require("fast-xml-parser");
+const axios = require("axios");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const net = require("net");
 const path = require("path");
+const os = require("os");
 require("dotenv").config({ path: path.join(__dirname, ".env") });
 const app = express();
 
@@ -41,6 +53,12 @@ app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Needed behind a reverse proxy so req.ip is the client address (used for rate limiting)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(trustProxy) ? process.env.TRUST_PROXY : trustProxy);
+}
+
 // ✅ Debugging Middleware
 app.use((req, res, next) => {
   console.log("Incoming Request:", req.method, req.url);
@@ -91,7 +109,15 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true
     },
-    lastLogin: Date
+    lastLogin: Date,
+    passwordChangedAt: Date,
+    // Brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date
   },
   {
     timestamps: {
@@ -112,6 +138,7 @@ userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   try {
     this.password = await bcrypt.hash(this.password, 12);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     console.error('Password hashing error:', error);
@@ -129,6 +156,41 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Account lockout settings - after MAX_FAILED_LOGIN_ATTEMPTS failures the account
+// is locked, and every further failure doubles the lock (capped at MAX_LOCK_MS)
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+
+userSchema.virtual('isLocked').get(function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+});
+
+// Method to record a failed login and lock the account when needed
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  
+  const overLimit = updated.failedLoginAttempts - MAX_FAILED_LOGIN_ATTEMPTS;
+  if (overLimit >= 0) {
+    const lockMs = Math.min(BASE_LOCK_MS * Math.pow(2, overLimit), MAX_LOCK_MS);
+    updated.lockUntil = new Date(Date.now() + lockMs);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil: updated.lockUntil } });
+  }
+  return updated;
+};
+
+// Method to clear failed login tracking
+userSchema.methods.resetLoginAttempts = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } }
+  );
+};
+
 // Virtual for user's full profile (excluding sensitive data)
 userSchema.virtual('profile').get(function() {
   return {
@@ -137,6 +199,7 @@ userSchema.virtual('profile').get(function() {
     email: this.email,
     role: this.role,
     isActive: this.isActive,
+    isLocked: this.isLocked,
     lastLogin: this.lastLogin,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
@@ -145,6 +208,147 @@ userSchema.virtual('profile').get(function() {
 
 const User = mongoose.model("User", userSchema);
 
+// ✅ Session Schema - one per logged-in device, holds the rotating refresh token
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true },
+    // Hash of the token this one replaced - presenting it again means the token leaked
+    previousTokenHash: { type: String, default: null },
+    deviceName: { type: String, trim: true, maxlength: 100 },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+
+// ✅ Invitation Schema - one-time, expiring onboarding links created by admins
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS) || 72;
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ['superadmin', 'admin', 'user'],
+        message: 'Role must be one of: superadmin, admin, or user'
+      },
+      default: 'user'
+    },
+    tokenHash: { type: String, required: true },
+    invitedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: { type: String }
+    },
+    expiresAt: { type: Date, required: true },
+    lastSentAt: { type: Date, default: Date.now },
+    sendCount: { type: Number, default: 1 },
+    acceptedAt: { type: Date, default: null },
+    acceptedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revokedAt: { type: Date, default: null }
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      }
+    }
+  }
+);
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+
+invitationSchema.virtual('state').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+// ✅ Password Reset Token Schema - single-use, stored hashed
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+const passwordResetTokenSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String }
+  },
+  { timestamps: true }
+);
+
+passwordResetTokenSchema.index({ tokenHash: 1 }, { unique: true });
+passwordResetTokenSchema.index({ user: 1, usedAt: 1 });
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PasswordResetToken = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
+
+// Publication lifecycle of a blog post (independent of the editorial `status` badge)
+const PUBLICATION_STATUSES = ["draft", "scheduled", "published", "unpublished"];
+
+// ✅ Image metadata - dimensions, accessibility text and responsive variants
+// `variants` maps each size (thumbnail/card/full) to { width, webp, avif } URLs;
+// `srcset` holds the same URLs ready for <source srcset>.
+const imageMetaSchema = new mongoose.Schema(
+  {
+    width: Number,
+    height: Number,
+    format: String,
+    bytes: Number,
+    alt: { type: String, trim: true, maxlength: 300 },
+    caption: { type: String, trim: true, maxlength: 500 },
+    variants: { type: mongoose.Schema.Types.Mixed },
+    srcset: {
+      webp: String,
+      avif: String
+    }
+  },
+  { _id: false }
+);
+
+// ✅ SEO overrides - empty fields fall back to the post's own data (see resolveSeoMeta)
+const seoSchema = new mongoose.Schema(
+  {
+    metaTitle: { type: String, trim: true, maxlength: [120, 'Meta title cannot be longer than 120 characters'] },
+    metaDescription: { type: String, trim: true, maxlength: [320, 'Meta description cannot be longer than 320 characters'] },
+    canonicalUrl: { type: String, trim: true },
+    ogImage: { type: String, trim: true },
+    twitterImage: { type: String, trim: true },
+    noindex: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
 // ✅ CORRECTED BLOG SCHEMA WITH COURSES SUPPORT
 const blogSchema = new mongoose.Schema(
   {
@@ -157,24 +361,54 @@ const blogSchema = new mongoose.Schema(
       trim: true,
       index: true,
     },
+    // ✅ Slugs this post used before - reserved so old URLs keep redirecting here
+    previousSlugs: {
+      type: [{
+        _id: false,
+        slug: { type: String, lowercase: true, trim: true },
+        changedAt: { type: Date, default: Date.now }
+      }],
+      default: []
+    },
     content: { type: String, required: true },
+    // Derived from content on every save (see applyContentStats); an editor-provided
+    // excerpt is kept as long as `customExcerpt` is true
+    excerpt: { type: String, maxlength: 500, default: '' },
+    customExcerpt: { type: Boolean, default: false },
+    wordCount: { type: Number, default: 0 },
+    readingTimeMinutes: { type: Number, default: 0 },
+    // `category`/`subcategory` hold the canonical names of managed Category/Subcategory
+    // documents (checked on create and update); `categoryId` links the category itself
     category: { type: String, required: true },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
     subcategory: {
       type: String,
       required: true,
-      enum: ["Article", "Tutorial", "Interview Questions"],
     },
     author: { type: String, required: true },
+    // ✅ Owning user - set from the token on create, never from the client
+    authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     image: { type: String },
     imagePublicId: { type: String },
+    imageMeta: { type: imageMetaSchema, default: null },
     // ✅ Banner Image Fields
     bannerImage: { type: String },
     bannerImagePublicId: { type: String },
+    bannerImageMeta: { type: imageMetaSchema, default: null },
+    seo: { type: seoSchema, default: () => ({}) },
     status: {
       type: String,
       enum: ["Trending", "Featured", "Editor's Pick", "Recommended", "None"],
       default: "None",
     },
+    // ✅ Publication workflow fields
+    publicationStatus: {
+      type: String,
+      enum: PUBLICATION_STATUSES,
+      default: "draft",
+    },
+    publishAt: { type: Date, default: null },
+    publishedAt: { type: Date, default: null },
     // ✅ Tags Field
     tags: { 
       type: [String], 
@@ -212,7 +446,8 @@ const blogSchema = new mongoose.Schema(
         }
       },
       courseImage: { type: String },
-      courseImagePublicId: { type: String }
+      courseImagePublicId: { type: String },
+      courseImageMeta: { type: imageMetaSchema, default: null }
     }],
     
     // ✅ CORRECTED: Course images metadata for cleanup
@@ -220,134 +455,884 @@ const blogSchema = new mongoose.Schema(
       fieldIndex: { type: Number, required: true },
       publicId: { type: String, required: true },
       url: { type: String, required: true }
-    }]
+    }],
+    // Approved reader comments, kept in sync by refreshCommentCount
+    commentCount: { type: Number, default: 0 },
+    // Counted reads of the public post (see recordBlogView)
+    viewCount: { type: Number, default: 0 },
+    // True while "Trending" was set by the trending job rather than an editor
+    autoTrending: { type: Boolean, default: false }
   },
   { timestamps: true }
 );
 
 // ✅ Add indexes for better performance
 blogSchema.index({ tags: 1 });
+blogSchema.index({ 'previousSlugs.slug': 1 });
 blogSchema.index({ author: 1, createdAt: -1 });
+blogSchema.index({ authorId: 1, createdAt: -1 });
 blogSchema.index({ category: 1, createdAt: -1 });
+blogSchema.index({ categoryId: 1 });
 blogSchema.index({ status: 1, createdAt: -1 });
+blogSchema.index({ publicationStatus: 1, publishedAt: -1 });
+blogSchema.index({ publicationStatus: 1, publishAt: 1 });
+// Image reference lookups (media usage counts, safe deletes) - one per IMAGE_REFERENCE_PATHS entry
+blogSchema.index({ imagePublicId: 1 });
+blogSchema.index({ bannerImagePublicId: 1 });
+blogSchema.index({ 'courseImagesData.publicId': 1 });
+blogSchema.index({ 'courses.courseImagePublicId': 1 });
+// Full-text search index - title matches weigh the most
+blogSchema.index(
+  {
+    title: "text",
+    tags: "text",
+    category: "text",
+    "courses.name": "text",
+    content: "text"
+  },
+  {
+    name: "blog_text_search",
+    weights: { title: 10, tags: 5, category: 3, "courses.name": 3, content: 1 }
+  }
+);
 
 const Blog = mongoose.model("Blog", blogSchema);
 
-// ✅ Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+// ✅ Blog Revision Schema - snapshot of a post taken before every change
+// Fields copied from the blog into each revision snapshot
+const REVISION_FIELDS = [
+  'title', 'slug', 'content', 'excerpt', 'customExcerpt', 'category', 'categoryId', 'subcategory', 'author',
+  'image', 'imagePublicId', 'imageMeta', 'bannerImage', 'bannerImagePublicId', 'bannerImageMeta', 'seo',
+  'status', 'publicationStatus', 'publishAt', 'publishedAt',
+  'tags', 'courses', 'courseImagesData'
+];
+
+// Fields written back on restore (slug and publication state stay as they are now)
+const RESTORABLE_FIELDS = [
+  'title', 'content', 'excerpt', 'customExcerpt', 'category', 'categoryId', 'subcategory', 'author',
+  'image', 'imagePublicId', 'imageMeta', 'bannerImage', 'bannerImagePublicId', 'bannerImageMeta', 'seo',
+  'status', 'tags', 'courses', 'courseImagesData'
+];
+
+const blogRevisionSchema = new mongoose.Schema(
+  {
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true },
+    revisionNumber: { type: Number, required: true },
+    changeType: {
+      type: String,
+      enum: ['update', 'restore'],
+      default: 'update'
+    },
+    restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'BlogRevision', default: null },
+    changedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: { type: String }
+    },
+    snapshot: {
+      title: String,
+      slug: String,
+      content: String,
+      excerpt: String,
+      customExcerpt: Boolean,
+      category: String,
+      categoryId: mongoose.Schema.Types.ObjectId,
+      subcategory: String,
+      author: String,
+      image: String,
+      imagePublicId: String,
+      imageMeta: mongoose.Schema.Types.Mixed,
+      bannerImage: String,
+      bannerImagePublicId: String,
+      bannerImageMeta: mongoose.Schema.Types.Mixed,
+      seo: mongoose.Schema.Types.Mixed,
+      status: String,
+      publicationStatus: String,
+      publishAt: Date,
+      publishedAt: Date,
+      tags: [String],
+      courses: [{
+        name: String,
+        description: String,
+        courseUrl: String,
+        courseImage: String,
+        courseImagePublicId: String,
+        courseImageMeta: mongoose.Schema.Types.Mixed
+      }],
+      courseImagesData: [{
+        fieldIndex: Number,
+        publicId: String,
+        url: String
+      }]
+    }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+blogRevisionSchema.index({ blog: 1, revisionNumber: -1 }, { unique: true });
+blogRevisionSchema.index({ 'snapshot.imagePublicId': 1 });
+blogRevisionSchema.index({ 'snapshot.bannerImagePublicId': 1 });
+blogRevisionSchema.index({ 'snapshot.courseImagesData.publicId': 1 });
+blogRevisionSchema.index({ 'snapshot.courses.courseImagePublicId': 1 });
+
+const BlogRevision = mongoose.model("BlogRevision", blogRevisionSchema);
+
+// ✅ Media Schema - every stored image, reusable across posts
+// `source` tells library uploads (kept until deleted explicitly) from images
+// uploaded with a post (removed once no blog or revision references them).
+const mediaSchema = new mongoose.Schema(
+  {
+    publicId: { type: String, required: true, unique: true },
+    url: { type: String, required: true },
+    storage: { type: String, required: true },
+    source: {
+      type: String,
+      enum: ['library', 'blog'],
+      default: 'library'
+    },
+    originalName: { type: String, trim: true },
+    mimeType: { type: String },
+    meta: { type: imageMetaSchema, default: null },
+    tags: {
+      type: [String],
+      default: []
+    },
+    uploadedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: { type: String }
+    }
+  },
+  { timestamps: true }
+);
+
+mediaSchema.index({ createdAt: -1 });
+mediaSchema.index({ tags: 1 });
+
+const Media = mongoose.model("Media", mediaSchema);
+
+// ✅ Category Schema - managed, hierarchical blog categories
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Category name is required'],
+      trim: true,
+      maxlength: [100, 'Category name cannot be longer than 100 characters']
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    description: { type: String, trim: true, maxlength: 1000 },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null },
+    seoImage: { type: String },
+    seoImagePublicId: { type: String },
+    order: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+categorySchema.index({ parent: 1, order: 1 });
+categorySchema.index({ seoImagePublicId: 1 }, { sparse: true });
+
+const Category = mongoose.model("Category", categorySchema);
+
+// ✅ Subcategory Schema - the kind of post (Article, Tutorial, ...)
+const DEFAULT_SUBCATEGORIES = ["Article", "Tutorial", "Interview Questions"];
+
+const subcategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Subcategory name is required'],
+      trim: true,
+      maxlength: [100, 'Subcategory name cannot be longer than 100 characters']
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true
+    },
+    description: { type: String, trim: true, maxlength: 1000 }
+  },
+  { timestamps: true }
+);
+
+subcategorySchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+const Subcategory = mongoose.model("Subcategory", subcategorySchema);
+
+// ✅ Comment Schema - reader comments with a moderation status
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'deleted'];
+
+const commentSchema = new mongoose.Schema(
+  {
+    blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true },
+    parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    guest: {
+      name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [80, 'Name cannot be longer than 80 characters']
+      },
+      email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
+      }
+    },
+    content: {
+      type: String,
+      required: [true, 'Comment cannot be empty'],
+      trim: true,
+      maxlength: [5000, 'Comment cannot be longer than 5000 characters']
+    },
+    status: { type: String, enum: COMMENT_STATUSES, default: 'pending' },
+    spamReasons: [String],
+    ip: String,
+    userAgent: String,
+    moderatedBy: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      username: String
+    },
+    moderatedAt: Date
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ blog: 1, status: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ ip: 1, createdAt: -1 });
+commentSchema.index({ 'guest.email': 1, createdAt: -1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+// ✅ Blog View Stats Schema - one document per blog per day (UTC)
+const blogViewStatSchema = new mongoose.Schema({
+  blog: { type: mongoose.Schema.Types.ObjectId, ref: 'Blog', required: true },
+  date: { type: Date, required: true },
+  views: { type: Number, default: 0 }
 });
 
-// ✅ Helper function to extract public_id from Cloudinary URL
-const getPublicIdFromUrl = (url) => {
-  if (!url) return null;
+blogViewStatSchema.index({ blog: 1, date: 1 }, { unique: true });
+blogViewStatSchema.index({ date: 1 });
+
+const BlogViewStat = mongoose.model("BlogViewStat", blogViewStatSchema);
+
+// ✅ Media storage adapters
+// Selected with MEDIA_STORAGE (cloudinary | local). Every adapter provides:
+//   multerStorage              - multer storage engine for uploads
+//   normalizeFile(file)        - sets file.path to the public URL and file.filename to the public ID
+//   verifyImage(file)          - checks a normalized upload really is a supported image (async, boolean)
+//   getPublicIdFromUrl(url)    - maps a stored URL back to its public ID
+//   deleteFile(publicId)       - removes the stored file (and its variants)
+//   describeImage(file)        - reads dimensions/format and produces the resized variants
+//   listFiles()                - lists every stored original (used by the orphan cleanup)
+const MEDIA_FOLDER = "blog-images";
+
+// Responsive variant widths and formats generated for every uploaded image
+const IMAGE_VARIANTS = { thumbnail: 320, card: 640, full: 1280 };
+const IMAGE_VARIANT_FORMATS = ["webp", "avif"];
+
+// Image types accepted for upload, by declared mimetype, with the extensions allowed for each
+const UPLOAD_IMAGE_TYPES = {
+  "image/jpeg": [".jpg", ".jpeg"],
+  "image/png": [".png"],
+  "image/webp": [".webp"],
+  "image/gif": [".gif"],
+  "image/avif": [".avif"],
+};
+
+// sharp format -> extension stored files get (SVG and everything else is refused)
+const UPLOAD_IMAGE_FORMATS = { jpeg: "jpg", png: "png", webp: "webp", gif: "gif" };
+
+// Helper function to find the real format of image bytes (a path or a buffer)
+// Returns the file extension to store it under, or null if it isn't a supported image.
+const detectImageFormat = async (input) => {
   try {
-    const urlParts = url.split("/");
-    const versionIndex = urlParts.findIndex(
-      (part) => part.startsWith("v") && !isNaN(part.substring(1))
-    );
-    if (versionIndex !== -1 && urlParts.length > versionIndex + 2) {
-      const relevantParts = urlParts.slice(versionIndex + 1);
-      const publicIdWithExtension = relevantParts.slice(1).join("/");
-      return publicIdWithExtension.substring(
-        0,
-        publicIdWithExtension.lastIndexOf(".")
-      );
-    } else if (urlParts.length > 1) {
-      const fileNameWithExtension = urlParts[urlParts.length - 1];
-      const publicIdWithFolder = urlParts
-        .slice(urlParts.lastIndexOf("upload") + 2)
-        .join("/");
-      return publicIdWithFolder.substring(
-        0,
-        publicIdWithFolder.lastIndexOf(".")
+    const { format, compression } = await sharp(input).metadata();
+    // AVIF is reported as HEIF with AV1 compression; HEIC photos are not accepted
+    if (format === "heif") return compression === "av1" ? "avif" : null;
+    return UPLOAD_IMAGE_FORMATS[format] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const createCloudinaryStorageAdapter = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  return {
+    name: "cloudinary",
+    multerStorage: new CloudinaryStorage({
+      cloudinary: cloudinary,
+      params: {
+        folder: MEDIA_FOLDER,
+        format: async (req, file) => "png",
+        public_id: (req, file) =>
+          Date.now() + "-" + file.originalname.split(".")[0],
+      },
+    }),
+    // CloudinaryStorage already reports the URL as path and the public ID as filename
+    normalizeFile: (file) => file,
+    // Cloudinary only accepts uploads it can decode as images
+    verifyImage: async () => true,
+    getPublicIdFromUrl: (url) => {
+      const urlParts = url.split("/");
+      const versionIndex = urlParts.findIndex(
+        (part) => part.startsWith("v") && !isNaN(part.substring(1))
       );
+      if (versionIndex !== -1 && urlParts.length > versionIndex + 2) {
+        const relevantParts = urlParts.slice(versionIndex + 1);
+        const publicIdWithExtension = relevantParts.slice(1).join("/");
+        return publicIdWithExtension.substring(
+          0,
+          publicIdWithExtension.lastIndexOf(".")
+        );
+      } else if (urlParts.length > 1) {
+        const publicIdWithFolder = urlParts
+          .slice(urlParts.lastIndexOf("upload") + 2)
+          .join("/");
+        return publicIdWithFolder.substring(
+          0,
+          publicIdWithFolder.lastIndexOf(".")
+        );
+      }
+      return null;
+    },
+    listFiles: async () => {
+      const files = [];
+      let nextCursor;
+      do {
+        const page = await cloudinary.api.resources({
+          type: "upload",
+          prefix: `${MEDIA_FOLDER}/`,
+          max_results: 500,
+          next_cursor: nextCursor,
+        });
+        page.resources.forEach((resource) => files.push({
+          publicId: resource.public_id,
+          url: resource.secure_url,
+          bytes: resource.bytes,
+          createdAt: new Date(resource.created_at),
+        }));
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+      return files;
+    },
+    // Store in-memory bytes (e.g. re-hosted remote images) like a multer upload would
+    storeBuffer: async (buffer, originalName) => {
+      if (!(await detectImageFormat(buffer))) {
+        throw new Error(`${originalName} is not a supported image`);
+      }
+      return new Promise((resolve, reject) => {
+        const stream = cloudinary.uploader.upload_stream(
+          {
+            folder: MEDIA_FOLDER,
+            format: "png",
+            public_id: Date.now() + "-" + path.parse(originalName).name,
+          },
+          (error, result) => {
+            if (error) return reject(error);
+            resolve({
+              path: result.secure_url,
+              filename: result.public_id,
+              size: result.bytes,
+              originalname: originalName,
+            });
+          }
+        );
+        stream.end(buffer);
+      });
+    },
+    // invalidate also drops the derived (resized) versions from the CDN
+    deleteFile: (publicId) => cloudinary.uploader.destroy(publicId, { invalidate: true }),
+    // Variants are on-the-fly Cloudinary transformations, so nothing extra is stored
+    describeImage: async (file) => {
+      const info = await cloudinary.api.resource(file.filename);
+      const variants = {};
+      Object.entries(IMAGE_VARIANTS).forEach(([name, width]) => {
+        const variantWidth = Math.min(width, info.width);
+        variants[name] = { width: variantWidth };
+        IMAGE_VARIANT_FORMATS.forEach((format) => {
+          variants[name][format] = cloudinary.url(file.filename, {
+            secure: true,
+            width: variantWidth,
+            crop: "limit",
+            format,
+          });
+        });
+      });
+      return {
+        width: info.width,
+        height: info.height,
+        format: info.format,
+        bytes: info.bytes,
+        variants,
+      };
+    },
+  };
+};
+
+const createLocalStorageAdapter = () => {
+  const uploadDir = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "uploads"));
+  const publicBaseUrl = (
+    process.env.MEDIA_PUBLIC_URL || `http://localhost:${process.env.BLOG_PORT || 5002}`
+  ).replace(/\/+$/, "");
+  const urlPrefix = `${publicBaseUrl}/uploads/`;
+
+  fs.mkdirSync(path.join(uploadDir, MEDIA_FOLDER), { recursive: true });
+
+  // Resolve a public ID to a file path, refusing anything outside the upload directory
+  const resolveFilePath = (publicId) => {
+    const filePath = path.resolve(uploadDir, publicId);
+    if (!filePath.startsWith(uploadDir + path.sep)) {
+      throw new Error(`Refusing to touch file outside upload directory: ${publicId}`);
     }
-    return null;
+    return filePath;
+  };
+
+  // Variants sit next to the original: <name>-<variant>.<format>
+  const getVariantPublicId = (publicId, variantName, format) => {
+    const { dir, name } = path.posix.parse(publicId);
+    return `${dir}/${name}-${variantName}.${format}`;
+  };
+
+  const getAllVariantPublicIds = (publicId) =>
+    Object.keys(IMAGE_VARIANTS).flatMap((variantName) =>
+      IMAGE_VARIANT_FORMATS.map((format) => getVariantPublicId(publicId, variantName, format))
+    );
+
+  const unlinkIfExists = async (publicId) => {
+    try {
+      await fs.promises.unlink(resolveFilePath(publicId));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  };
+
+  return {
+    name: "local",
+    uploadDir,
+    multerStorage: multer.diskStorage({
+      destination: path.join(uploadDir, MEDIA_FOLDER),
+      // The extension is added by verifyImage once the real format is known
+      filename: (req, file, cb) => {
+        const ext = path.extname(file.originalname);
+        const base = generateSlug(path.basename(file.originalname, ext)) || "image";
+        cb(null, `${Date.now()}-${base}`);
+      },
+    }),
+    normalizeFile: (file) => {
+      const publicId = `${MEDIA_FOLDER}/${file.filename}`;
+      file.filename = publicId;
+      file.path = `${urlPrefix}${publicId}`;
+      return file;
+    },
+    verifyImage: async (file) => {
+      const ext = await detectImageFormat(resolveFilePath(file.filename));
+      if (!ext) return false;
+      const publicId = `${file.filename}.${ext}`;
+      await fs.promises.rename(resolveFilePath(file.filename), resolveFilePath(publicId));
+      file.filename = publicId;
+      file.path = `${urlPrefix}${publicId}`;
+      return true;
+    },
+    getPublicIdFromUrl: (url) => (url.startsWith(urlPrefix) ? url.slice(urlPrefix.length) : null),
+    listFiles: async () => {
+      const folder = path.join(uploadDir, MEDIA_FOLDER);
+      const variantPattern = new RegExp(
+        `-(${Object.keys(IMAGE_VARIANTS).join("|")})\\.(${IMAGE_VARIANT_FORMATS.join("|")})$`
+      );
+      const names = (await fs.promises.readdir(folder)).filter((name) => !variantPattern.test(name));
+      return Promise.all(names.map(async (name) => {
+        const publicId = `${MEDIA_FOLDER}/${name}`;
+        const stats = await fs.promises.stat(resolveFilePath(publicId));
+        return { publicId, url: `${urlPrefix}${publicId}`, bytes: stats.size, createdAt: stats.mtime };
+      }));
+    },
+    // Store in-memory bytes (e.g. re-hosted remote images) like a multer upload would
+    // The extension comes from the sniffed format, never from the (remote) name.
+    storeBuffer: async (buffer, originalName) => {
+      const format = await detectImageFormat(buffer);
+      if (!format) throw new Error(`${originalName} is not a supported image`);
+      const base = generateSlug(path.basename(originalName, path.extname(originalName))) || "image";
+      const publicId = `${MEDIA_FOLDER}/${Date.now()}-${base}.${format}`;
+      await fs.promises.writeFile(resolveFilePath(publicId), buffer);
+      return {
+        path: `${urlPrefix}${publicId}`,
+        filename: publicId,
+        size: buffer.length,
+        originalname: originalName,
+      };
+    },
+    deleteFile: async (publicId) => {
+      const deleted = await unlinkIfExists(publicId);
+      await Promise.all(getAllVariantPublicIds(publicId).map(unlinkIfExists));
+      return { result: deleted ? "ok" : "not found" };
+    },
+    describeImage: async (file) => {
+      const filePath = resolveFilePath(file.filename);
+      const metadata = await sharp(filePath).metadata();
+      const variants = {};
+      for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+        variants[name] = {};
+        for (const format of IMAGE_VARIANT_FORMATS) {
+          const variantPublicId = getVariantPublicId(file.filename, name, format);
+          const info = await sharp(filePath)
+            .rotate()
+            .resize({ width, withoutEnlargement: true })
+            .toFormat(format)
+            .toFile(resolveFilePath(variantPublicId));
+          variants[name].width = info.width;
+          variants[name][format] = `${urlPrefix}${variantPublicId}`;
+        }
+      }
+      return {
+        width: metadata.width,
+        height: metadata.height,
+        format: metadata.format,
+        bytes: file.size,
+        variants,
+      };
+    },
+  };
+};
+
+const mediaStorageAdapters = {
+  cloudinary: createCloudinaryStorageAdapter,
+  local: createLocalStorageAdapter,
+};
+
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || "cloudinary";
+if (!mediaStorageAdapters[MEDIA_STORAGE]) {
+  console.error(`❌ Unknown MEDIA_STORAGE "${MEDIA_STORAGE}". Use one of: ${Object.keys(mediaStorageAdapters).join(", ")}`);
+  process.exit(1);
+}
+const mediaStorage = mediaStorageAdapters[MEDIA_STORAGE]();
+console.log(`🗂️ Media storage backend: ${mediaStorage.name}`);
+
+// Serve locally stored uploads
+if (mediaStorage.uploadDir) {
+  app.use("/uploads", express.static(mediaStorage.uploadDir, { maxAge: "30d" }));
+}
+
+// ✅ Helper function to extract public_id from a stored image URL
+const getPublicIdFromUrl = (url) => {
+  if (!url) return null;
+  try {
+    return mediaStorage.getPublicIdFromUrl(url);
   } catch (error) {
     console.error("Error extracting public ID:", error);
     return null;
   }
 };
 
-// ✅ ENHANCED: Helper function to delete image from Cloudinary with better error handling
-const deleteCloudinaryImage = async (publicId) => {
+// Helper function to build `srcset` strings from a variants map
+const buildSrcset = (variants) => {
+  const srcset = {};
+  IMAGE_VARIANT_FORMATS.forEach((format) => {
+    srcset[format] = Object.values(variants || {})
+      .filter((variant) => variant && variant[format])
+      .map((variant) => `${variant[format]} ${variant.width}w`)
+      .join(", ");
+  });
+  return srcset;
+};
+
+// ✅ Helper function to read metadata and create variants for an uploaded image
+// Failures are logged and only fall back to basic metadata - the upload itself stands.
+const describeUploadedImage = async (file) => {
+  try {
+    const description = await mediaStorage.describeImage(file);
+    return { ...description, srcset: buildSrcset(description.variants) };
+  } catch (error) {
+    console.error(`❌ Error generating image variants for ${file.filename}:`, error);
+    return {
+      bytes: file.size,
+      format: path.extname(file.originalname || "").replace(".", "").toLowerCase() || undefined,
+    };
+  }
+};
+
+// Helper function to combine upload metadata with editor-supplied alt text and caption
+const buildImageMeta = (baseMeta, alt, caption) => {
+  const meta = { ...(baseMeta || {}) };
+  if (alt !== undefined) meta.alt = alt;
+  if (caption !== undefined) meta.caption = caption;
+  return meta;
+};
+
+// Helper function to get a stored meta subdocument as a plain object
+const toPlainImageMeta = (meta) => {
+  if (!meta) return null;
+  return typeof meta.toObject === 'function' ? meta.toObject() : meta;
+};
+
+// ✅ ENHANCED: Helper function to delete a stored image with better error handling
+const deleteStoredImage = async (publicId) => {
   if (!publicId || typeof publicId !== 'string' || publicId.trim() === '') {
     console.warn('⚠️ Invalid publicId for deletion:', publicId);
     return;
   }
   
   try {
-    console.log(`🗑️ Attempting to delete Cloudinary image with public ID: ${publicId.trim()}`);
-    const result = await cloudinary.uploader.destroy(publicId.trim());
-    console.log(`✅ Cloudinary deletion result:`, result);
+    console.log(`🗑️ Attempting to delete ${mediaStorage.name} image with public ID: ${publicId.trim()}`);
+    const result = await mediaStorage.deleteFile(publicId.trim());
+    await Media.deleteOne({ publicId: publicId.trim() });
+    console.log(`✅ Image deletion result:`, result);
     return result;
   } catch (error) {
-    console.error(`❌ Error deleting Cloudinary image ${publicId}:`, error);
+    console.error(`❌ Error deleting image ${publicId}:`, error);
     // Don't throw error - log it and continue
   }
 };
 
 
-// ✅ Enhanced Helper function to delete all blog images from Cloudinary
-const deleteAllBlogImages = async (blog) => {
-  const deletePromises = [];
-  
-  // Delete featured image
-  if (blog.imagePublicId) {
-    deletePromises.push(deleteCloudinaryImage(blog.imagePublicId));
-  }
+// Helper function to list every image public ID a blog (or revision snapshot) points at
+const getBlogImagePublicIds = (blog) => {
+  const publicIds = [];
+  if (!blog) return publicIds;
   
-  // Delete banner image
-  if (blog.bannerImagePublicId) {
-    deletePromises.push(deleteCloudinaryImage(blog.bannerImagePublicId));
-  }
+  if (blog.imagePublicId) publicIds.push(blog.imagePublicId);
+  if (blog.bannerImagePublicId) publicIds.push(blog.bannerImagePublicId);
   
-  // Delete course images
-  if (blog.courseImagesData && Array.isArray(blog.courseImagesData) && blog.courseImagesData.length > 0) {
+  if (Array.isArray(blog.courseImagesData)) {
     blog.courseImagesData.forEach(imageData => {
-      if (imageData && imageData.publicId) {
-        deletePromises.push(deleteCloudinaryImage(imageData.publicId));
-      }
+      if (imageData && imageData.publicId) publicIds.push(imageData.publicId);
     });
   }
-  
-  if (deletePromises.length > 0) {
-    try {
-      await Promise.all(deletePromises);
-      console.log("✅ All blog images deleted successfully");
-    } catch (error) {
-      console.error("❌ Error deleting some blog images:", error);
-    }
+  if (Array.isArray(blog.courses)) {
+    blog.courses.forEach(course => {
+      if (course && course.courseImagePublicId) publicIds.push(course.courseImagePublicId);
+    });
   }
+  return publicIds;
 };
 
-// ✅ Multer Storage for Cloudinary
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: "blog-images",
-    format: async (req, file) => "png",
-    public_id: (req, file) =>
-      Date.now() + "-" + file.originalname.split(".")[0],
-  },
+// Blog paths that can hold an image public ID
+const IMAGE_REFERENCE_PATHS = [
+  'imagePublicId',
+  'bannerImagePublicId',
+  'courseImagesData.publicId',
+  'courses.courseImagePublicId'
+];
+
+// Helper function to build a query matching documents that reference an image
+const imageReferenceQuery = (publicId, prefix = '') => ({
+  $or: IMAGE_REFERENCE_PATHS.map(refPath => ({ [`${prefix}${refPath}`]: publicId }))
 });
 
-const upload = multer({ 
-  storage,
+// Helper function to count blogs and revisions referencing an image
+// (`excludeBlogId` ignores one post and its own history, e.g. while deleting it)
+const countImageReferences = async (publicId, { excludeBlogId = null } = {}) => {
+  const blogQuery = imageReferenceQuery(publicId);
+  const revisionQuery = imageReferenceQuery(publicId, 'snapshot.');
+  if (excludeBlogId) {
+    blogQuery._id = { $ne: excludeBlogId };
+    revisionQuery.blog = { $ne: excludeBlogId };
+  }
+  const [blogs, revisions, categories] = await Promise.all([
+    Blog.countDocuments(blogQuery),
+    BlogRevision.countDocuments(revisionQuery),
+    Category.countDocuments({ seoImagePublicId: publicId })
+  ]);
+  return { blogs, revisions, categories, total: blogs + revisions + categories };
+};
+
+// Helper function to check whether any blog or revision still references an image
+const isImageReferenced = async (publicId, options = {}) => {
+  const { total } = await countImageReferences(publicId, options);
+  return total > 0;
+};
+
+// Helper function to collect every public ID referenced by any blog or revision
+const getAllReferencedPublicIds = async () => {
+  const lookups = [
+    ...IMAGE_REFERENCE_PATHS.map(refPath => Blog.distinct(refPath)),
+    ...IMAGE_REFERENCE_PATHS.map(refPath => BlogRevision.distinct(`snapshot.${refPath}`)),
+    Category.distinct('seoImagePublicId')
+  ];
+  const results = await Promise.all(lookups);
+  return new Set(results.flat().filter(Boolean));
+};
+
+// Helper function to delete replaced images once nothing references them anymore
+// Library assets stay until they are deleted from the media library.
+const deleteUnreferencedImages = async (publicIds, options = {}) => {
+  const uniqueIds = [...new Set(publicIds.filter(Boolean))];
+  for (const publicId of uniqueIds) {
+    try {
+      if (await isImageReferenced(publicId, options)) {
+        console.log(`📎 Keeping image still referenced by a blog or revision: ${publicId}`);
+        continue;
+      }
+      if (await Media.exists({ publicId, source: 'library' })) {
+        console.log(`📎 Keeping media library asset: ${publicId}`);
+        continue;
+      }
+      await deleteStoredImage(publicId);
+    } catch (error) {
+      console.error(`❌ Error checking image references for ${publicId}:`, error);
+    }
+  }
+};
+
+// ✅ Enhanced Helper function to delete all blog images from storage
+// Includes images only kept alive by the blog's revision history; images shared
+// with other posts and media library assets are kept.
+const deleteAllBlogImages = async (blog) => {
+  const revisions = await BlogRevision.find({ blog: blog._id }).select('snapshot').lean();
+  const publicIds = [
+    ...getBlogImagePublicIds(blog),
+    ...revisions.flatMap(revision => getBlogImagePublicIds(revision.snapshot))
+  ];
+  
+  if (publicIds.length > 0) {
+    try {
+      await deleteUnreferencedImages(publicIds, { excludeBlogId: blog._id });
+      console.log("✅ All blog images deleted successfully");
+    } catch (error) {
+      console.error("❌ Error deleting some blog images:", error);
+    }
+  }
+};
+
+// Helper function to add an uploaded file to the media library
+const registerMedia = (file, user, source) => Media.findOneAndUpdate(
+  { publicId: file.filename },
+  {
+    $setOnInsert: {
+      publicId: file.filename,
+      url: file.path,
+      storage: mediaStorage.name,
+      source,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      meta: file.imageMeta || null,
+      uploadedBy: user ? { id: user.id, username: user.username } : undefined
+    }
+  },
+  { upsert: true, new: true }
+);
+
+// Helper function to load a media library asset picked for a post
+// Returns { media, error } so callers can answer with a 400.
+const findMediaForReference = async (mediaId) => {
+  if (!mongoose.Types.ObjectId.isValid(mediaId)) {
+    return { media: null, error: `Invalid media ID: ${mediaId}` };
+  }
+  const media = await Media.findById(mediaId).lean();
+  if (!media) {
+    return { media: null, error: `Media not found: ${mediaId}` };
+  }
+  return { media, error: null };
+};
+
+// ✅ Multer upload using the active storage backend
+// The declared type and extension are checked up front; processUploadedFiles then
+// checks the stored bytes, since both can be forged by the client.
+const upload = multer({ 
+  storage: mediaStorage.multerStorage,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit per file
+  },
+  fileFilter: (req, file, cb) => {
+    const extensions = UPLOAD_IMAGE_TYPES[file.mimetype];
+    if (!extensions || !extensions.includes(path.extname(file.originalname).toLowerCase())) {
+      const error = new Error(`${file.originalname} is not a supported image (JPEG, PNG, WebP, GIF or AVIF)`);
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
   }
 });
 
+// Helper function to answer rejected uploads (type, size, count) with a 400 JSON
+// response instead of Express' default error page
+const handleUploadErrors = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError || error.statusCode === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+// Post-upload middleware: normalizes files so routes always see path = URL and
+// filename = public ID, builds image metadata and records them in the media library
+const processUploadedFiles = (source) => async (req, res, next) => {
+  try {
+    const files = req.files ? Object.values(req.files).flat() : [];
+    files.forEach((file) => mediaStorage.normalizeFile(file));
+    
+    // One unreadable file rejects the whole request, before anything is registered
+    for (const file of files) {
+      if (!(await mediaStorage.verifyImage(file))) {
+        await Promise.all(files.map((stored) => mediaStorage.deleteFile(stored.filename).catch((error) => {
+          console.error(`❌ Error removing rejected upload ${stored.filename}:`, error);
+        })));
+        return res.status(400).json({
+          message: `${file.originalname} is not a supported image (JPEG, PNG, WebP, GIF or AVIF)`
+        });
+      }
+    }
+    
+    for (const file of files) {
+      file.imageMeta = await describeUploadedImage(file);
+      file.media = await registerMedia(file, req.user, source);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // ✅ Enhanced multer configuration for course images
-const uploadFields = upload.fields([
-  { name: 'image', maxCount: 1 },
-  { name: 'bannerImage', maxCount: 1 },
-  { name: 'courseImages', maxCount: 50 }
-]);
+const uploadFields = [
+  handleUploadErrors(upload.fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'bannerImage', maxCount: 1 },
+    { name: 'courseImages', maxCount: 50 }
+  ])),
+  processUploadedFiles('blog')
+];
+
+// ✅ Multer configuration for media library uploads
+const uploadMediaFiles = [
+  handleUploadErrors(upload.fields([{ name: 'files', maxCount: 20 }])),
+  processUploadedFiles('library')
+];
+
+// Helper function to create an error carrying the HTTP status to answer with
+const createHttpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Helper function to remove the files uploadFields stored for a request that failed
+const cleanupUploadedFiles = async (files) => {
+  if (!files) return;
+  const publicIds = Object.values(files).flat()
+    .map(file => file.filename || getPublicIdFromUrl(file.path));
+  await Promise.all(publicIds.map(publicId => deleteStoredImage(publicId)));
+};
 
 // ✅ Helper function to process tags from request
 const processTags = (tagsInput) => {
@@ -373,13 +1358,16 @@ const processTags = (tagsInput) => {
 };
 
 // Helper function to process course image
-async function processCourseImage(course, uploadedFile, courseImagesData, index) {
+// Kept images carry over their stored metadata, matched by public ID.
+async function processCourseImage(course, uploadedFile, courseImagesData, index, existingCourses = []) {
   let path = course.courseImage || null;
   let publicId = course.courseImagePublicId || null;
+  let meta = null;
 
   if (uploadedFile) {
     path = uploadedFile.path;
     publicId = uploadedFile.filename || getPublicIdFromUrl(uploadedFile.path);
+    meta = uploadedFile.imageMeta;
     if (publicId) {
       courseImagesData.push({
         fieldIndex: index,
@@ -387,42 +1375,58 @@ async function processCourseImage(course, uploadedFile, courseImagesData, index)
         url: path
       });
     }
+  } else if (course.mediaId) {
+    const { media, error } = await findMediaForReference(course.mediaId);
+    if (error) return { error };
+    path = media.url;
+    publicId = media.publicId;
+    meta = toPlainImageMeta(media.meta);
+  } else if (publicId) {
+    const existing = existingCourses.find(c => c && c.courseImagePublicId === publicId);
+    meta = toPlainImageMeta(existing?.courseImageMeta);
+  }
+
+  if (path && (meta || course.imageAlt !== undefined || course.imageCaption !== undefined)) {
+    meta = buildImageMeta(meta, course.imageAlt, course.imageCaption);
   }
 
-  return { path, publicId };
+  return { path, publicId, meta };
 }
 
-// Helper function to clean up course images
+// Helper function to clean up course images no longer referenced anywhere
 async function cleanupCourseImages(imagesData) {
-  const cleanup = imagesData.map(img => 
-    img?.publicId ? deleteCloudinaryImage(img.publicId) : Promise.resolve()
-  );
-  return Promise.allSettled(cleanup);
+  return deleteUnreferencedImages(imagesData.map(img => img?.publicId));
 }
 
 // Helper function to handle slug updates
+// The old slug is moved into previousSlugs; going back to an old slug takes it out again.
 async function handleSlugUpdate(body, existingBlog) {
   try {
     let baseSlug = body.slug ? generateSlug(body.slug) : generateSlug(body.title);
     
     if (baseSlug !== existingBlog.slug) {
       const uniqueSlug = await findUniqueSlug(baseSlug, Blog, existingBlog.id);
-      return { slug: uniqueSlug, error: null };
+      if (uniqueSlug === existingBlog.slug) {
+        return { slug: existingBlog.slug, previousSlugs: null, error: null };
+      }
+      const previousSlugs = (existingBlog.previousSlugs || [])
+        .filter(entry => entry.slug !== uniqueSlug && entry.slug !== existingBlog.slug)
+        .map(entry => ({ slug: entry.slug, changedAt: entry.changedAt }));
+      previousSlugs.push({ slug: existingBlog.slug, changedAt: new Date() });
+      return { slug: uniqueSlug, previousSlugs, error: null };
     }
-    return { slug: existingBlog.slug, error: null };
+    return { slug: existingBlog.slug, previousSlugs: null, error: null };
   } catch (error) {
     return { slug: null, error: 'Error generating slug' };
   }
 }
 
 // Helper function to handle image uploads
-async function handleImageUpload(file, existingPublicId) {
+// The replaced image is queued for cleanup instead of being deleted right away,
+// since the revision snapshot of the previous version may still need it.
+async function handleImageUpload(file, existingPublicId, replacedPublicIds = []) {
   if (existingPublicId) {
-    try {
-      await deleteCloudinaryImage(existingPublicId);
-    } catch (error) {
-      console.error('Error deleting old image:', error);
-    }
+    replacedPublicIds.push(existingPublicId);
   }
   
   return {
@@ -432,7 +1436,7 @@ async function handleImageUpload(file, existingPublicId) {
 }
 
 // Helper function to process courses
-async function processCourses(coursesInput, files) {
+async function processCourses(coursesInput, files, existingCourses = []) {
   if (typeof coursesInput !== 'string' || !coursesInput.trim()) {
     return { error: 'Courses data is required' };
   }
@@ -474,15 +1478,20 @@ async function processCourses(coursesInput, files) {
       course,
       courseImages[i],
       courseImagesData,
-      i
+      i,
+      existingCourses
     );
+    if (courseImage.error) {
+      return { error: `Course at index ${i}: ${courseImage.error}` };
+    }
 
     validCourses.push({
       name: course.name.trim(),
       description: course.description.trim(),
       courseUrl: course.courseUrl.trim(),
       courseImage: courseImage.path || null,
-      courseImagePublicId: courseImage.publicId || null
+      courseImagePublicId: courseImage.publicId || null,
+      courseImageMeta: courseImage.meta || null
     });
   }
 
@@ -493,997 +1502,5693 @@ async function processCourses(coursesInput, files) {
   };
 }
 
-// Helper functions for slug generation
-const generateSlug = (text) => {
-  return text
-    .toString()
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .trim()
-    .replace(/\s+/g, "-")
-    .replace(/[^\w-]+/g, "")
-    .replace(/--+/g, "-");
+// ✅ Category helpers
+// Key used to treat "SAP", "sap" and "S.A.P" as the same category. Only spacing and
+// punctuation that never carries meaning is dropped, so "C", "C++" and "C#" stay apart.
+const normalizeCategoryKey = (name) => (name || '').toString().toLowerCase().replace(/[\s.\-_']+/g, '');
+
+// Helper function to find a category by id, exact slug or (case-insensitive) name
+// The slug is matched as given, not slugified: generateSlug("C++") is just "c".
+const findCategory = async (input) => {
+  if (!input) return null;
+  const value = input.toString().trim();
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    const byId = await Category.findById(value);
+    if (byId) return byId;
+  }
+  const byName = await Category.findOne({ $or: [{ slug: value.toLowerCase() }, { name: value }] })
+    .collation({ locale: 'en', strength: 2 });
+  if (byName) return byName;
+
+  // Fall back to the normalized key so "S.A.P" still finds "SAP"
+  const key = normalizeCategoryKey(value);
+  if (!key) return null;
+  const categories = await Category.find({}).select('name slug parent');
+  return categories.find(category => normalizeCategoryKey(category.name) === key) || null;
 };
 
-const findUniqueSlug = async (baseSlug, BlogModel, excludeId = null) => {
+// Helper function to pick a free slug for a category name
+// Different names can share a slug ("C" and "C++"), so later ones get a counter.
+const findUniqueCategorySlug = async (name, excludeId = null) => {
+  const baseSlug = generateSlug(name) || 'category';
   let slug = baseSlug;
-  let counter = 0;
+  let counter = 1;
   while (true) {
-    let query = { slug };
-    if (excludeId) {
-      query._id = { $ne: excludeId };
-    }
-    const existingBlog = await BlogModel.findOne(query);
-    if (!existingBlog) {
-      return slug;
-    }
+    const query = { slug };
+    if (excludeId) query._id = { $ne: excludeId };
+    if (!(await Category.exists(query))) return slug;
     counter++;
     slug = `${baseSlug}-${counter}`;
   }
 };
 
-// JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers["authorization"];
-  const token = authHeader && authHeader.split(" ")[1];
-  if (!token)
-    return res
-      .status(401)
-      .json({ message: "Access Denied: No token provided" });
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      console.error("JWT Verification Error:", err);
-      return res.status(403).json({ message: "Access Denied: Invalid token" });
+// Helper function to create a managed category for a free-text name
+const createCategoryFromName = async (name) => {
+  const categoryName = name.toString().trim();
+  return Category.create({ name: categoryName, slug: await findUniqueCategorySlug(categoryName) });
+};
+
+// Helper function to find a subcategory by slug or (case-insensitive) name
+const findSubcategory = async (input) => {
+  if (!input) return null;
+  const value = input.toString().trim();
+  return Subcategory.findOne({ $or: [{ slug: generateSlug(value) }, { name: value }] })
+    .collation({ locale: 'en', strength: 2 });
+};
+
+// Helper function to validate category/subcategory input for a blog
+// Returns { data, error } with the canonical names to store.
+async function resolveBlogCategories(body, { partial = false } = {}) {
+  const data = {};
+
+  if (!partial || body.category !== undefined) {
+    const category = await findCategory(body.category);
+    if (!category) {
+      return { data: null, error: `Unknown category "${body.category || ''}". Create it first or pick an existing one.` };
     }
-    req.user = user;
-    next();
-  });
+    data.category = category.name;
+    data.categoryId = category._id;
+  }
+
+  if (!partial || body.subcategory !== undefined) {
+    const subcategory = await findSubcategory(body.subcategory);
+    if (!subcategory) {
+      return { data: null, error: `Unknown subcategory "${body.subcategory || ''}"` };
+    }
+    data.subcategory = subcategory.name;
+  }
+
+  return { data, error: null };
+}
+
+// Helper function to check that moving a category under `parentId` creates no cycle
+async function wouldCreateCategoryCycle(categoryId, parentId) {
+  let currentId = parentId;
+  const seen = new Set();
+  while (currentId) {
+    const key = currentId.toString();
+    if (key === categoryId.toString() || seen.has(key)) return true;
+    seen.add(key);
+    const parent = await Category.findById(currentId).select('parent').lean();
+    currentId = parent ? parent.parent : null;
+  }
+  return false;
+}
+
+// ✅ View tracking helpers
+const VIEW_DEDUP_WINDOW_MS = (parseInt(process.env.VIEW_DEDUP_WINDOW_MINUTES) || 30) * 60 * 1000;
+const BOT_USER_AGENT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|monitor|curl|wget|python-requests|httpclient|axios|node-fetch|go-http-client/i;
+
+// visitor+blog -> time the current de-duplication window ends
+const recentViews = new Map();
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, expiresAt] of recentViews) {
+    if (expiresAt <= now) recentViews.delete(key);
+  }
+}, VIEW_DEDUP_WINDOW_MS).unref();
+
+// Helper function to get the start of the (UTC) day a view belongs to
+const startOfUtcDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
 };
 
-// ✅ Migration function to fix existing data
-const migrateBlogSchema = async () => {
+// Helper function to count a read of a public post
+// Bots and repeat reads by the same visitor within the window are ignored.
+// Never throws - view counting must not break the page.
+async function recordBlogView(blog, req) {
   try {
-    console.log('🔄 Starting blog schema migration...');
-    
-    // Find blogs that have old field names or missing new fields
-    const blogsToMigrate = await Blog.find({
-      $or: [
-        { coursesData: { $exists: true } },
-        { courseImagesData: { $exists: false } }
-      ]
-    });
-    
-    console.log(`📊 Found ${blogsToMigrate.length} blogs to migrate`);
-    
-    for (const blog of blogsToMigrate) {
-      const updateData = {};
-      
-      // Remove old coursesData field if it exists
-      if (blog.coursesData !== undefined) {
-        updateData.$unset = { coursesData: "" };
-      }
-      
-      // Initialize new fields if they don't exist
-      if (!blog.courseImagesData) {
-        updateData.courseImagesData = [];
-      }
-      
-      // Ensure courses array exists and has correct structure
-      if (!blog.courses || !Array.isArray(blog.courses)) {
-        updateData.courses = [];
-      }
-      
-      if (Object.keys(updateData).length > 0) {
-        await Blog.findByIdAndUpdate(blog._id, updateData);
-        console.log(`✅ Migrated blog: ${blog.title}`);
-      }
-    }
-    
-    console.log('🎉 Blog schema migration completed successfully');
+    const userAgent = req.get('User-Agent') || '';
+    if (!userAgent || BOT_USER_AGENT_PATTERN.test(userAgent)) return false;
+
+    const visitorKey = hashToken(`${req.ip}|${userAgent}|${blog._id}`);
+    const now = Date.now();
+    if ((recentViews.get(visitorKey) || 0) > now) return false;
+    recentViews.set(visitorKey, now + VIEW_DEDUP_WINDOW_MS);
+
+    await Promise.all([
+      BlogViewStat.updateOne(
+        { blog: blog._id, date: startOfUtcDay() },
+        { $inc: { views: 1 } },
+        { upsert: true }
+      ),
+      Blog.updateOne({ _id: blog._id }, { $inc: { viewCount: 1 } }, { timestamps: false })
+    ]);
+    return true;
   } catch (error) {
-    console.error('❌ Migration error:', error);
+    console.error('❌ Error recording blog view:', error);
+    return false;
   }
+}
+
+// Helper function to rank blogs by views over the last `days` days
+// Returns [{ blog: ObjectId, views }] sorted by views.
+const getPopularBlogIds = (days, limit) => BlogViewStat.aggregate([
+  { $match: { date: { $gte: startOfUtcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)) } } },
+  { $group: { _id: '$blog', views: { $sum: '$views' } } },
+  { $sort: { views: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, blog: '$_id', views: 1 } }
+]);
+
+// ✅ Related posts helpers
+const RELATED_CACHE_TTL_MS = parseInt(process.env.RELATED_CACHE_TTL_MS) || 10 * 60 * 1000;
+const RELATED_CACHE_MAX_ENTRIES = 1000;
+const RELATED_CANDIDATE_LIMIT = 200;
+const RELATED_WEIGHTS = { tag: 3, course: 2, category: 2, subcategory: 1, recency: 1 };
+
+// "<blogId>:<limit>" -> { expiresAt, blogs }
+const relatedPostsCache = new Map();
+
+// Helper function to drop cached related posts after any post change
+const invalidateRelatedPostsCache = () => relatedPostsCache.clear();
+
+// Helper function to identify a linked course regardless of minor spelling differences
+const getCourseKeys = (courses = []) => new Set(
+  courses
+    .map(course => (course.courseUrl || course.name || '').toString().trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// Helper function to score how related `candidate` is to `blog`
+const scoreRelatedPost = (blog, candidate, courseKeys, now = Date.now()) => {
+  const tags = new Set(blog.tags || []);
+  const sharedTags = (candidate.tags || []).filter(tag => tags.has(tag)).length;
+  const sharedCourses = [...getCourseKeys(candidate.courses)].filter(key => courseKeys.has(key)).length;
+  const sameCategory = blog.categoryId && candidate.categoryId
+    ? blog.categoryId.toString() === candidate.categoryId.toString()
+    : blog.category === candidate.category;
+  const ageDays = (now - new Date(candidate.publishedAt || candidate.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+
+  return sharedTags * RELATED_WEIGHTS.tag +
+    sharedCourses * RELATED_WEIGHTS.course +
+    (sameCategory ? RELATED_WEIGHTS.category : 0) +
+    (blog.subcategory === candidate.subcategory ? RELATED_WEIGHTS.subcategory : 0) +
+    RELATED_WEIGHTS.recency / (1 + Math.max(ageDays, 0) / 30);
 };
 
-// ✅ MongoDB Connection with Migration
-mongoose
-  .connect(process.env.MONGO_URI)
-  .then(async () => {
-    console.log("✅ Blogs MongoDB Connected");
-    // Run migration on startup
-    await migrateBlogSchema();
+// Helper function to find the `limit` most related published posts (cached)
+async function findRelatedPosts(blog, limit) {
+  const cacheKey = `${blog._id}:${limit}`;
+  const cached = relatedPostsCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.blogs;
+
+  const courseKeys = getCourseKeys(blog.courses);
+  const courseList = [...courseKeys];
+  // Subcategories are few and broad, so sharing one only adds to the score; as a
+  // prefilter it would fill the candidate window with unrelated recent posts
+  const candidates = await Blog.find({
+    ...publicBlogFilter(),
+    _id: { $ne: blog._id },
+    $or: [
+      { tags: { $in: blog.tags || [] } },
+      blog.categoryId ? { categoryId: blog.categoryId } : { category: blog.category },
+      { 'courses.courseUrl': { $in: courseList } },
+      { 'courses.name': { $in: courseList } }
+    ]
   })
-  .catch((err) => console.error("❌ MongoDB Connection Error:", err));
+    .select('-content -courseImagesData -previousSlugs')
+    .sort({ publishedAt: -1 })
+    .limit(RELATED_CANDIDATE_LIMIT)
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
 
-// ✅ Validate JWT Token Endpoint
-app.get("/api/auth/validate-token", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    if (!user.isActive) {
-      return res.status(403).json({ message: "Account is inactive" });
-    }
-    
-    res.json({
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      isActive: user.isActive,
-      lastLogin: user.lastLogin,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt
-    });
-  } catch (err) {
-    console.error("Token validation error:", err);
-    res.status(500).json({ 
-      message: "Error validating token", 
-      error: err.message 
-    });
+  const now = Date.now();
+  const blogs = candidates
+    .map(candidate => ({ ...candidate, relatedScore: scoreRelatedPost(blog, candidate, courseKeys, now) }))
+    .sort((a, b) => b.relatedScore - a.relatedScore)
+    .slice(0, limit)
+    .map(candidate => ({ ...candidate, relatedScore: Math.round(candidate.relatedScore * 100) / 100 }));
+
+  if (relatedPostsCache.size >= RELATED_CACHE_MAX_ENTRIES) {
+    relatedPostsCache.delete(relatedPostsCache.keys().next().value);
   }
-});
+  relatedPostsCache.set(cacheKey, { expiresAt: Date.now() + RELATED_CACHE_TTL_MS, blogs });
+  return blogs;
+}
 
-// ✅ Logout Endpoint
-app.post("/api/auth/logout", authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id);
-    if (user) {
-      // Optional: add lastLogout field if needed
-    }
-    res.json({ message: "Logged out successfully" });
-  } catch (err) {
-    console.error("Logout error:", err);
-    res.status(500).json({ 
-      message: "Error during logout", 
-      error: err.message 
-    });
+// ✅ Comment helpers
+const COMMENT_MAX_LINKS = parseInt(process.env.COMMENT_MAX_LINKS) || 2;
+const COMMENT_BURST_LIMIT = parseInt(process.env.COMMENT_BURST_LIMIT) || 3;
+const COMMENT_BURST_WINDOW_MINUTES = parseInt(process.env.COMMENT_BURST_WINDOW_MINUTES) || 10;
+const COMMENT_BLOCKLIST = (process.env.COMMENT_BLOCKLIST || 'viagra,casino,crypto giveaway,payday loan,escort')
+  .split(',')
+  .map(word => word.trim().toLowerCase())
+  .filter(Boolean);
+
+// Helper function to score a new comment against the built-in spam heuristics
+// Returns the list of reasons; an empty list means the comment looks fine.
+async function evaluateCommentSpam({ blogId, name, email, content, ip }) {
+  const reasons = [];
+  const text = `${name} ${content}`.toLowerCase();
+
+  const links = (content.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > COMMENT_MAX_LINKS) {
+    reasons.push(`contains ${links} links (max ${COMMENT_MAX_LINKS})`);
+  }
+  if (/https?:\/\/|www\./i.test(name)) {
+    reasons.push('name contains a link');
   }
-});
 
-// Enhanced role-based middleware
-const requireRole = (roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ message: "Access Denied: Authentication required" });
-    }
-    
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ 
-        message: "Access Denied: Insufficient permissions",
-        required: roles,
-        current: req.user.role
-      });
-    }
-    
-    next();
-  };
+  const blocked = COMMENT_BLOCKLIST.filter(word => text.includes(word));
+  if (blocked.length > 0) {
+    reasons.push(`blocklisted words: ${blocked.join(', ')}`);
+  }
+
+  const since = new Date(Date.now() - COMMENT_BURST_WINDOW_MINUTES * 60 * 1000);
+  const [recent, duplicate] = await Promise.all([
+    Comment.countDocuments({ createdAt: { $gte: since }, $or: [{ ip }, { 'guest.email': email }] }),
+    Comment.exists({ blog: blogId, content, 'guest.email': email })
+  ]);
+  if (recent >= COMMENT_BURST_LIMIT) {
+    reasons.push(`${recent} comments in the last ${COMMENT_BURST_WINDOW_MINUTES} minutes`);
+  }
+  if (duplicate) {
+    reasons.push('duplicate comment');
+  }
+
+  return reasons;
+}
+
+// Helper function to recount a blog's approved comments
+const refreshCommentCount = async (blogId) => {
+  const commentCount = await Comment.countDocuments({ blog: blogId, status: 'approved' });
+  await Blog.updateOne({ _id: blogId }, { $set: { commentCount } }, { timestamps: false });
+  return commentCount;
 };
 
-// --- Enhanced Authentication Routes ---
-// Register User
-app.post("/api/auth/register", async (req, res) => {
-  try {
-    const { username, email, password, role = 'user' } = req.body;
-    
-    if (!username || !password) {
-      return res.status(400).json({ 
+// Helper function to check whether a user may moderate a blog's comments
+const canModerateComments = (user, blog) => {
+  if (['admin', 'superadmin'].includes(user.role)) return true;
+  return Boolean(blog?.authorId && blog.authorId.toString() === user.id);
+};
+
+// Helper function to nest approved comments into threads
+// Deleted comments stay as placeholders while they still have visible replies.
+const buildCommentThreads = (comments) => {
+  const nodes = new Map(comments.map(comment => [comment._id.toString(), { ...comment, replies: [] }]));
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.replies.push(node);
+    else if (!node.parent) roots.push(node);
+  });
+
+  const prune = (list) => list.filter(node => {
+    node.replies = prune(node.replies);
+    if (node.status !== 'deleted') return true;
+    if (node.replies.length === 0) return false;
+    node.content = null;
+    node.guest = { name: null };
+    return true;
+  });
+  return prune(roots);
+};
+
+// ✅ Revision helpers
+const REVISION_NUMBER_ATTEMPTS = 5;
+
+// Helper function to keep the state a blog had before a change that has gone through
+// Concurrent saves can pick the same next number; the unique index rejects the loser, which retries.
+async function createBlogRevision(blog, user, { changeType = 'update', restoredFrom = null } = {}) {
+  const source = typeof blog.toObject === 'function' ? blog.toObject() : blog;
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = source[field];
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await BlogRevision.findOne({ blog: blog._id })
+      .sort({ revisionNumber: -1 })
+      .select('revisionNumber')
+      .lean();
+
+    try {
+      return await BlogRevision.create({
+        blog: blog._id,
+        revisionNumber: latest ? latest.revisionNumber + 1 : 1,
+        changeType,
+        restoredFrom,
+        changedBy: user ? { id: user.id, username: user.username } : undefined,
+        snapshot
+      });
+    } catch (err) {
+      if (err?.code !== 11000 || attempt >= REVISION_NUMBER_ATTEMPTS) throw err;
+    }
+  }
+}
+
+// Helper function to compute a field-level diff between two snapshots
+function diffSnapshots(from, to) {
+  const normalize = (value) => JSON.stringify(value === undefined ? null : value, (key, val) =>
+    key === '_id' ? undefined : val
+  );
+  return REVISION_FIELDS
+    .filter(field => normalize(from[field]) !== normalize(to[field]))
+    .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+}
+
+// ✅ Public site helpers
+// Each public site renders posts at `<baseUrl>/<slug>`. Override with PUBLIC_SITES, e.g.
+// PUBLIC_SITES='{"main":"https://connectingdotserp.com/blog","blog":"https://blog.connectingdotserp.com"}'
+const DEFAULT_PUBLIC_SITES = {
+  main: "https://connectingdotserp.com/blog",
+  blog: "https://blog.connectingdotserp.com"
+};
+
+const PUBLIC_SITES = (() => {
+  if (!process.env.PUBLIC_SITES) return DEFAULT_PUBLIC_SITES;
+  try {
+    return JSON.parse(process.env.PUBLIC_SITES);
+  } catch (error) {
+    console.error('❌ Invalid PUBLIC_SITES JSON, falling back to defaults:', error.message);
+    return DEFAULT_PUBLIC_SITES;
+  }
+})();
+
+// Helper function to pick the public site from `?site=` (first configured site by default)
+const resolvePublicSite = (siteKey) => {
+  const key = siteKey && PUBLIC_SITES[siteKey] ? siteKey : Object.keys(PUBLIC_SITES)[0];
+  return { key, baseUrl: PUBLIC_SITES[key].replace(/\/+$/, '') };
+};
+
+const buildPostUrl = (site, slug) => `${site.baseUrl}/${encodeURIComponent(slug)}`;
+
+// ✅ Search helpers
+// Helper function to turn stored HTML into plain text
+const stripHtml = (html) => {
+  if (!html) return '';
+  return html
+    .toString()
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const escapeXml = (text) => (text === undefined || text === null ? '' : String(text))
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper function to pull the plain search terms out of a $text query string
+const getSearchTerms = (query) => {
+  return query
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.trim())
+    .filter(term => term.length > 1);
+};
+
+// Helper function to wrap matched terms in <mark>
+// Matching runs on the raw text and each piece is escaped afterwards, so a term
+// can never match inside an entity such as &amp;.
+const highlightTerms = (text, terms) => {
+  if (!terms.length) return escapeHtml(text);
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// Helper function to build a highlighted snippet around the first match
+const buildSearchSnippet = (html, terms, radius = 80) => {
+  const text = stripHtml(html);
+  if (!text) return '';
+
+  const lower = text.toLowerCase();
+  const firstMatch = terms
+    .map(term => lower.indexOf(term.toLowerCase()))
+    .filter(index => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  const center = firstMatch === undefined ? 0 : firstMatch;
+  const start = Math.max(0, center - radius);
+  const end = Math.min(text.length, center + radius);
+  const snippet = text.slice(start, end).trim();
+
+  return `${start > 0 ? '…' : ''}${highlightTerms(snippet, terms)}${end < text.length ? '…' : ''}`;
+};
+
+// ✅ Content sanitization
+// Blog content is rendered as HTML on the public sites, so it is cleaned on every write.
+// CONTENT_ALLOWED_TAGS (comma list) and CONTENT_ALLOWED_ATTRIBUTES (JSON, tag -> [attrs])
+// replace the defaults below; CONTENT_IFRAME_HOSTS lists the video hosts iframes may load.
+const DEFAULT_CONTENT_TAGS = [
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'div', 'span', 'blockquote',
+  'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'mark', 'small', 'abbr',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'pre', 'code', 'kbd', 'samp',
+  'table', 'caption', 'colgroup', 'col', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td',
+  'a', 'img', 'figure', 'figcaption', 'picture', 'source', 'iframe'
+];
+
+const DEFAULT_CONTENT_ATTRIBUTES = {
+  '*': ['class', 'id', 'title'],
+  a: ['href', 'name', 'target', 'rel'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+  source: ['srcset', 'sizes', 'type', 'media'],
+  iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'frameborder', 'loading'],
+  ol: ['start', 'type', 'reversed'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan'],
+  col: ['span'],
+  colgroup: ['span']
+};
+
+const DEFAULT_IFRAME_HOSTS = [
+  'www.youtube.com', 'youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'
+];
+
+const parseListEnv = (value, fallback) => value
+  ? value.split(',').map(item => item.trim()).filter(Boolean)
+  : fallback;
+
+const CONTENT_ALLOWED_TAGS = parseListEnv(process.env.CONTENT_ALLOWED_TAGS, DEFAULT_CONTENT_TAGS);
+const CONTENT_IFRAME_HOSTS = parseListEnv(process.env.CONTENT_IFRAME_HOSTS, DEFAULT_IFRAME_HOSTS);
+const CONTENT_ALLOWED_ATTRIBUTES = (() => {
+  if (!process.env.CONTENT_ALLOWED_ATTRIBUTES) return DEFAULT_CONTENT_ATTRIBUTES;
+  try {
+    return JSON.parse(process.env.CONTENT_ALLOWED_ATTRIBUTES);
+  } catch (error) {
+    console.error('❌ Invalid CONTENT_ALLOWED_ATTRIBUTES JSON, falling back to defaults:', error.message);
+    return DEFAULT_CONTENT_ATTRIBUTES;
+  }
+})();
+const CONTENT_ALLOWED_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+
+// Hosts of our own sites; links anywhere else count as external
+const INTERNAL_LINK_HOSTS = new Set(
+  Object.values(PUBLIC_SITES)
+    .map(url => {
+      try { return new URL(url).hostname; } catch (error) { return null; }
+    })
+    .filter(Boolean)
+);
+
+const isExternalLink = (href) => {
+  try {
+    const { protocol, hostname } = new URL(href);
+    return ['http:', 'https:'].includes(protocol) && !INTERNAL_LINK_HOSTS.has(hostname);
+  } catch (error) {
+    return false; // relative links stay on our site
+  }
+};
+
+const isAllowedIframeSrc = (src) => {
+  try {
+    const { protocol, hostname } = new URL(src);
+    return protocol === 'https:' && CONTENT_IFRAME_HOSTS.includes(hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+const hasAllowedScheme = (url) => {
+  const match = /^\s*([a-z][a-z0-9+.-]*):/i.exec(url || '');
+  return !match || CONTENT_ALLOWED_SCHEMES.includes(match[1].toLowerCase());
+};
+
+// Helper function to sanitize blog HTML against the allowlist
+// Returns { html, report } where report lists what was removed (empty when nothing was).
+const sanitizeBlogContent = (html) => {
+  const strippedTags = {};
+  const strippedAttributes = {};
+  const count = (bucket, key) => { bucket[key] = (bucket[key] || 0) + 1; };
+
+  const clean = sanitizeHtml((html || '').toString(), {
+    allowedTags: CONTENT_ALLOWED_TAGS,
+    allowedAttributes: CONTENT_ALLOWED_ATTRIBUTES,
+    allowedSchemes: CONTENT_ALLOWED_SCHEMES,
+    allowedIframeHostnames: CONTENT_IFRAME_HOSTS,
+    allowProtocolRelative: false,
+    // Iframes whose host was rejected would be left empty
+    exclusiveFilter: (frame) => frame.tag === 'iframe' && !frame.attribs.src,
+    // Record what the sanitizer is about to drop, based on the original markup
+    onOpenTag: (tagName, attribs) => {
+      if (!CONTENT_ALLOWED_TAGS.includes(tagName)) {
+        count(strippedTags, tagName);
+        return;
+      }
+      if (tagName === 'iframe' && !isAllowedIframeSrc(attribs.src)) {
+        count(strippedAttributes, 'iframe[src] (host not allowed)');
+      }
+      const allowed = [...(CONTENT_ALLOWED_ATTRIBUTES['*'] || []), ...(CONTENT_ALLOWED_ATTRIBUTES[tagName] || [])];
+      Object.keys(attribs).forEach(attr => {
+        if (!allowed.includes(attr)) {
+          count(strippedAttributes, `${tagName}[${attr}]`);
+        } else if (['href', 'src'].includes(attr) && !hasAllowedScheme(attribs[attr])) {
+          count(strippedAttributes, `${tagName}[${attr}] (unsafe URL)`);
+        }
+      });
+    },
+    transformTags: {
+      a: (tagName, attribs) => {
+        if (!isExternalLink(attribs.href)) return { tagName, attribs };
+        const rel = new Set((attribs.rel || '').split(/\s+/).filter(Boolean));
+        rel.add('noopener');
+        return { tagName, attribs: { ...attribs, rel: [...rel].join(' ') } };
+      }
+    }
+  });
+
+  return {
+    html: clean,
+    report: { strippedTags, strippedAttributes }
+  };
+};
+
+// Helper function to tell whether a sanitization report removed anything
+const hasStrippedContent = (report) =>
+  Object.keys(report.strippedTags).length > 0 || Object.keys(report.strippedAttributes).length > 0;
+
+// ✅ Content stats helpers
+const EXCERPT_LENGTH = parseInt(process.env.EXCERPT_LENGTH) || 160;
+const WORDS_PER_MINUTE = parseInt(process.env.WORDS_PER_MINUTE) || 200;
+
+// Helper function to cut plain text at a word boundary
+const buildExcerpt = (html, length = EXCERPT_LENGTH) => {
+  const text = stripHtml(html);
+  if (text.length <= length) return text;
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > length * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+// Helper function to count words and estimate reading time (at least one minute)
+const computeContentStats = (html) => {
+  const text = stripHtml(html);
+  const wordCount = text ? text.split(/\s+/).filter(Boolean).length : 0;
+  return {
+    wordCount,
+    readingTimeMinutes: wordCount > 0 ? Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)) : 0
+  };
+};
+
+// Helper function to derive excerpt/wordCount/readingTimeMinutes for a save
+// `excerptInput` undefined keeps the current excerpt mode; '' switches back to the
+// auto-generated one. Returns only the fields that need writing.
+const applyContentStats = ({ content, excerptInput, existingBlog = null }) => {
+  const data = {};
+  const contentChanged = content !== undefined;
+  const currentContent = contentChanged ? content : existingBlog?.content;
+
+  if (contentChanged) Object.assign(data, computeContentStats(content));
+
+  if (excerptInput !== undefined && excerptInput !== null && excerptInput.toString().trim() !== '') {
+    data.excerpt = stripHtml(excerptInput).slice(0, 500);
+    data.customExcerpt = true;
+  } else if (excerptInput !== undefined || contentChanged || !existingBlog) {
+    const keepCustom = excerptInput === undefined && existingBlog?.customExcerpt;
+    if (!keepCustom) {
+      data.excerpt = buildExcerpt(currentContent);
+      data.customExcerpt = false;
+    }
+  }
+
+  return data;
+};
+
+// ✅ SEO helpers
+const SEO_FIELDS = ['metaTitle', 'metaDescription', 'canonicalUrl', 'ogImage', 'twitterImage', 'noindex'];
+const SEO_URL_FIELDS = ['canonicalUrl', 'ogImage', 'twitterImage'];
+const ORGANIZATION_NAME = process.env.ORGANIZATION_NAME || 'Connecting Dots ERP';
+const ORGANIZATION_LOGO_URL = process.env.ORGANIZATION_LOGO_URL || null;
+// Posts in these subcategories are question/answer pages and get FAQPage output
+const FAQ_SUBCATEGORIES = parseListEnv(process.env.FAQ_SUBCATEGORIES, ['Interview Questions'])
+  .map(name => name.toLowerCase());
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Helper function to read `seo` from a request body (object or JSON string)
+// Merges onto `existingSeo`; an empty string clears a field. Returns { seo, error }.
+const parseSeoInput = (input, existingSeo = {}) => {
+  if (input === undefined) return { seo: undefined, error: null };
+
+  let parsed = input;
+  if (typeof input === 'string') {
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      return { seo: null, error: 'SEO data must be valid JSON' };
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return { seo: null, error: 'SEO data must be an object' };
+  }
+
+  const seo = { ...existingSeo };
+  for (const field of SEO_FIELDS) {
+    if (parsed[field] === undefined) continue;
+    if (field === 'noindex') {
+      seo.noindex = parsed.noindex === true || parsed.noindex === 'true';
+      continue;
+    }
+    const value = (parsed[field] ?? '').toString().trim();
+    if (!value) {
+      delete seo[field];
+      continue;
+    }
+    if (SEO_URL_FIELDS.includes(field) && !isHttpUrl(value)) {
+      return { seo: null, error: `SEO ${field} must be an absolute http(s) URL` };
+    }
+    seo[field] = value;
+  }
+  return { seo, error: null };
+};
+
+// Helper function to resolve the meta tags of a post, falling back to its own fields
+const resolveSeoMeta = (blog, site) => {
+  const seo = blog.seo || {};
+  const title = seo.metaTitle || blog.title;
+  const description = seo.metaDescription || blog.excerpt || buildExcerpt(blog.content);
+  const canonicalUrl = seo.canonicalUrl || buildPostUrl(site, blog.slug);
+  const ogImage = seo.ogImage || blog.bannerImage || blog.image || null;
+  const twitterImage = seo.twitterImage || ogImage;
+
+  return {
+    title,
+    description,
+    canonicalUrl,
+    noindex: Boolean(seo.noindex),
+    robots: seo.noindex ? 'noindex, follow' : 'index, follow',
+    openGraph: {
+      type: 'article',
+      title,
+      description,
+      url: canonicalUrl,
+      image: ogImage,
+      siteName: ORGANIZATION_NAME,
+      publishedTime: blog.publishedAt || blog.createdAt,
+      modifiedTime: blog.updatedAt,
+      section: blog.category,
+      tags: blog.tags || []
+    },
+    twitter: {
+      card: twitterImage ? 'summary_large_image' : 'summary',
+      title,
+      description,
+      image: twitterImage
+    }
+  };
+};
+
+// Helper function to list a category and its ancestors, root first
+const getCategoryTrail = async (categoryId) => {
+  const trail = [];
+  let currentId = categoryId;
+  while (currentId && trail.length < 10) {
+    const category = await Category.findById(currentId).select('name slug parent').lean();
+    if (!category) break;
+    trail.unshift(category);
+    currentId = category.parent;
+  }
+  return trail;
+};
+
+// Helper function to pull question/answer pairs out of post HTML
+// Every h2-h4 heading is a question; the markup up to the next heading is its answer.
+const extractFaqEntries = (html) => {
+  const entries = [];
+  const pattern = /<h([2-4])[^>]*>([\s\S]*?)<\/h\1>([\s\S]*?)(?=<h[2-4][^>]*>|$)/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    const question = stripHtml(match[2]);
+    const answer = stripHtml(match[3]);
+    if (question && answer) entries.push({ question, answer });
+  }
+  return entries;
+};
+
+// Helper function to build the JSON-LD documents for a post
+// BlogPosting and BreadcrumbList always; FAQPage for interview questions; one Course per linked course.
+const buildPostJsonLd = (blog, site, meta, categoryTrail) => {
+  const organization = {
+    '@type': 'Organization',
+    name: ORGANIZATION_NAME,
+    url: new URL(site.baseUrl).origin,
+    ...(ORGANIZATION_LOGO_URL && { logo: { '@type': 'ImageObject', url: ORGANIZATION_LOGO_URL } })
+  };
+  const images = [meta.openGraph.image, blog.image, blog.bannerImage].filter((url, i, all) => url && all.indexOf(url) === i);
+
+  const documents = [{
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: meta.title,
+    description: meta.description,
+    ...(images.length > 0 && { image: images }),
+    datePublished: blog.publishedAt || blog.createdAt,
+    dateModified: blog.updatedAt,
+    author: { '@type': 'Person', name: blog.author },
+    publisher: organization,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': meta.canonicalUrl },
+    articleSection: blog.category,
+    keywords: (blog.tags || []).join(', '),
+    wordCount: blog.wordCount
+  }, {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { name: 'Blog', item: site.baseUrl },
+      ...(categoryTrail.length > 0
+        ? categoryTrail.map(category => ({ name: category.name, item: `${site.baseUrl}/category/${category.slug}` }))
+        : [{ name: blog.category, item: `${site.baseUrl}/category/${generateSlug(blog.category || '')}` }]),
+      { name: blog.title, item: meta.canonicalUrl }
+    ].map((crumb, index) => ({ '@type': 'ListItem', position: index + 1, ...crumb }))
+  }];
+
+  if (FAQ_SUBCATEGORIES.includes((blog.subcategory || '').toLowerCase())) {
+    const entries = extractFaqEntries(blog.content);
+    if (entries.length > 0) {
+      documents.push({
+        '@context': 'https://schema.org',
+        '@type': 'FAQPage',
+        mainEntity: entries.map(({ question, answer }) => ({
+          '@type': 'Question',
+          name: question,
+          acceptedAnswer: { '@type': 'Answer', text: answer }
+        }))
+      });
+    }
+  }
+
+  (blog.courses || []).forEach(course => {
+    documents.push({
+      '@context': 'https://schema.org',
+      '@type': 'Course',
+      name: course.name,
+      description: course.description,
+      ...(course.courseUrl && { url: course.courseUrl }),
+      ...(course.courseImage && { image: course.courseImage }),
+      provider: organization
+    });
+  });
+
+  return documents;
+};
+
+// Helper function to render JSON-LD as <script> tags safe to drop into a page
+const renderJsonLdScripts = (documents) => documents
+  .map(doc => `<script type="application/ld+json">${JSON.stringify(doc).replace(/</g, '\\u003c')}</script>`)
+  .join('\n');
+
+// Helper functions for slug generation
+const generateSlug = (text) => {
+  return text
+    .toString()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^\w-]+/g, "")
+    .replace(/--+/g, "-");
+};
+
+// A slug is taken if another post uses it now or still holds it as a historical slug
+const findUniqueSlug = async (baseSlug, BlogModel, excludeId = null) => {
+  let slug = baseSlug;
+  let counter = 0;
+  while (true) {
+    let query = { $or: [{ slug }, { 'previousSlugs.slug': slug }] };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    const existingBlog = await BlogModel.findOne(query);
+    if (!existingBlog) {
+      return slug;
+    }
+    counter++;
+    slug = `${baseSlug}-${counter}`;
+  }
+};
+
+// ✅ Publication workflow helpers
+// Query fragment matching posts that readers are allowed to see right now
+const publicBlogFilter = () => ({
+  publicationStatus: "published",
+  publishedAt: { $lte: new Date() }
+});
+
+// Helper function to work out publication fields for create/update
+function resolvePublicationState(body, existingBlog = null) {
+  const hasStatus = body.publicationStatus !== undefined && body.publicationStatus !== '';
+  const hasPublishAt = body.publishAt !== undefined && body.publishAt !== '';
+
+  if (!hasStatus && !hasPublishAt) {
+    return existingBlog
+      ? { data: {}, error: null }
+      : { data: { publicationStatus: 'draft', publishAt: null }, error: null };
+  }
+
+  const publicationStatus = hasStatus ? body.publicationStatus : 'scheduled';
+  if (!PUBLICATION_STATUSES.includes(publicationStatus)) {
+    return {
+      data: null,
+      error: `Publication status must be one of: ${PUBLICATION_STATUSES.join(', ')}`
+    };
+  }
+
+  if (publicationStatus === 'scheduled') {
+    const publishAt = hasPublishAt ? new Date(body.publishAt) : existingBlog?.publishAt;
+    if (!publishAt || isNaN(publishAt.getTime())) {
+      return { data: null, error: 'A valid publishAt date is required for scheduled posts' };
+    }
+    if (publishAt <= new Date()) {
+      return { data: null, error: 'publishAt must be in the future for scheduled posts' };
+    }
+    return { data: { publicationStatus, publishAt }, error: null };
+  }
+
+  if (publicationStatus === 'published') {
+    // Keep the original publish date when re-saving an already published post
+    const alreadyPublished = existingBlog?.publicationStatus === 'published' && existingBlog.publishedAt;
+    return {
+      data: {
+        publicationStatus,
+        publishAt: null,
+        publishedAt: alreadyPublished ? existingBlog.publishedAt : new Date()
+      },
+      error: null
+    };
+  }
+
+  return { data: { publicationStatus, publishAt: null }, error: null };
+}
+
+// ✅ Mail transports
+// Chosen with MAIL_TRANSPORT (console | file | smtp). Outside development it must be
+// set explicitly, so a misconfigured server fails instead of logging reset links.
+const mailTransportFactories = {
+  // Prints messages to the server log - the default for local development
+  console: () => ({
+    send: async (message) => {
+      console.log(`📧 [mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  }),
+  
+  // Writes each message as a JSON file into MAIL_OUTBOX_DIR
+  file: () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'blog-mail-outbox');
+    return {
+      send: async (message) => {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        const filePath = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, date: new Date() }, null, 2));
+        console.log(`📧 [mail] Written to ${filePath}`);
+        return { transport: 'file', path: filePath };
+      }
+    };
+  },
+  
+  // Sends real email through an SMTP server
+  smtp: () => {
+    const nodemailer = require("nodemailer");
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { transport: 'smtp', messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let activeMailTransport = null;
+
+const getMailTransport = () => {
+  if (!activeMailTransport) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'development' ? 'console' : null);
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT is not configured');
+    }
+    const factory = mailTransportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    activeMailTransport = factory();
+  }
+  return activeMailTransport;
+};
+
+// Helper function to send an email through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  const from = process.env.MAIL_FROM || 'Connecting Dots ERP Blog <no-reply@connectingdotserp.com>';
+  return getMailTransport().send({ from, to, subject, text, html });
+};
+
+// ✅ Session & token helpers
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Helper function to open a new device session and issue its token pair
+async function createSession(user, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName: req.body?.deviceName,
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return {
+    session,
+    token: signAccessToken(user, session._id),
+    refreshToken
+  };
+}
+
+// Helper function to revoke every active session of a user
+async function revokeAllUserSessions(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) query._id = { $ne: exceptSessionId };
+  const result = await Session.updateMany(query, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+}
+
+// JWT Authentication Middleware
+// Besides the signature, the token's session must still be open and its user active,
+// and the token must not predate the user's last password change.
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers["authorization"];
+  const token = authHeader && authHeader.split(" ")[1];
+  if (!token)
+    return res
+      .status(401)
+      .json({ message: "Access Denied: No token provided" });
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    if (err) {
+      if (err.name === 'TokenExpiredError') {
+        return res.status(401).json({ message: "Access Denied: Token expired", code: "TOKEN_EXPIRED" });
+      }
+      console.error("JWT Verification Error:", err);
+      return res.status(403).json({ message: "Access Denied: Invalid token" });
+    }
+    
+    try {
+      if (!user.sid || !mongoose.Types.ObjectId.isValid(user.sid)) {
+        return res.status(401).json({ message: "Access Denied: Session expired, please log in again", code: "SESSION_REVOKED" });
+      }
+      
+      const session = await Session.findById(user.sid)
+        .select('user revokedAt expiresAt')
+        .populate('user', 'isActive role passwordChangedAt');
+      
+      if (!session || session.revokedAt || session.expiresAt <= new Date() || !session.user) {
+        return res.status(401).json({ message: "Access Denied: Session has been revoked", code: "SESSION_REVOKED" });
+      }
+      if (!session.user.isActive) {
+        return res.status(403).json({ message: "Access Denied: Account is inactive" });
+      }
+      // iat has whole-second precision
+      const { passwordChangedAt } = session.user;
+      if (passwordChangedAt && user.iat < Math.floor(passwordChangedAt.getTime() / 1000)) {
+        return res.status(401).json({ message: "Access Denied: Password has changed, please log in again", code: "SESSION_REVOKED" });
+      }
+      
+      req.user = { ...user, role: session.user.role };
+      next();
+    } catch (error) {
+      console.error("Session lookup error:", error);
+      res.status(500).json({ message: "Error validating session", error: error.message });
+    }
+  });
+};
+
+// ✅ Migration function to fix existing data
+const migrateBlogSchema = async () => {
+  try {
+    console.log('🔄 Starting blog schema migration...');
+    
+    // Find blogs that have old field names or missing new fields
+    const blogsToMigrate = await Blog.find({
+      $or: [
+        { coursesData: { $exists: true } },
+        { courseImagesData: { $exists: false } }
+      ]
+    });
+    
+    console.log(`📊 Found ${blogsToMigrate.length} blogs to migrate`);
+    
+    for (const blog of blogsToMigrate) {
+      const updateData = {};
+      
+      // Remove old coursesData field if it exists
+      if (blog.coursesData !== undefined) {
+        updateData.$unset = { coursesData: "" };
+      }
+      
+      // Initialize new fields if they don't exist
+      if (!blog.courseImagesData) {
+        updateData.courseImagesData = [];
+      }
+      
+      // Ensure courses array exists and has correct structure
+      if (!blog.courses || !Array.isArray(blog.courses)) {
+        updateData.courses = [];
+      }
+      
+      if (Object.keys(updateData).length > 0) {
+        await Blog.findByIdAndUpdate(blog._id, updateData);
+        console.log(`✅ Migrated blog: ${blog.title}`);
+      }
+    }
+    
+    console.log('🎉 Blog schema migration completed successfully');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+  }
+};
+
+// ✅ Migration: posts created before the publication workflow were all live
+const migratePublicationStatus = async () => {
+  try {
+    const result = await Blog.updateMany(
+      { publicationStatus: { $exists: false } },
+      [{ $set: { publicationStatus: "published", publishAt: null, publishedAt: "$createdAt" } }]
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`✅ Marked ${result.modifiedCount} existing blogs as published`);
+    }
+  } catch (error) {
+    console.error('❌ Publication status migration error:', error);
+  }
+};
+
+// ✅ Migration: backfill authorId by matching the free-text author against usernames
+const migrateBlogAuthorIds = async () => {
+  try {
+    const authors = await Blog.distinct("author", { authorId: null });
+    if (authors.length === 0) return;
+    
+    console.log(`🔄 Backfilling authorId for ${authors.length} author name(s)...`);
+    
+    for (const author of authors) {
+      if (!author) continue;
+      const user = await User.findOne({ username: author.trim() })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id');
+      
+      if (!user) {
+        console.warn(`⚠️ No user matches blog author "${author}" - leaving authorId empty`);
+        continue;
+      }
+      
+      const result = await Blog.updateMany(
+        { author, authorId: null },
+        { $set: { authorId: user._id } }
+      );
+      console.log(`✅ Linked ${result.modifiedCount} blog(s) to user ${author}`);
+    }
+  } catch (error) {
+    console.error('❌ Author backfill migration error:', error);
+  }
+};
+
+// ✅ Migration: turn free-text categories into managed Category documents
+// Variants like "SAP", "sap" and "S.A.P" are merged under the most used spelling.
+const migrateCategories = async () => {
+  try {
+    for (const name of DEFAULT_SUBCATEGORIES) {
+      await Subcategory.updateOne(
+        { slug: generateSlug(name) },
+        { $setOnInsert: { name, slug: generateSlug(name) } },
+        { upsert: true }
+      );
+    }
+
+    const usage = await Blog.aggregate([
+      { $match: { categoryId: null } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+      { $sort: { count: -1 } }
+    ]);
+    if (usage.length === 0) return;
+
+    console.log(`🔄 Normalizing ${usage.length} free-text category value(s)...`);
+
+    const groups = new Map();
+    usage.forEach(({ _id: name, count }) => {
+      if (!name) return;
+      const key = normalizeCategoryKey(name);
+      if (!groups.has(key)) groups.set(key, { canonical: name.trim(), variants: [] });
+      groups.get(key).variants.push(name);
+    });
+
+    // One bad value must not stop the rest from being linked
+    for (const { canonical, variants } of groups.values()) {
+      try {
+        let category = await findCategory(canonical);
+        if (!category) {
+          category = await createCategoryFromName(canonical);
+          console.log(`✅ Created category "${canonical}"`);
+        }
+        const result = await Blog.updateMany(
+          { category: { $in: variants }, categoryId: null },
+          { $set: { category: category.name, categoryId: category._id } }
+        );
+        console.log(`✅ Linked ${result.modifiedCount} blog(s) to category "${category.name}" (${variants.join(', ')})`);
+      } catch (error) {
+        console.error(`❌ Category migration error for "${canonical}":`, error);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Category migration error:', error);
+  }
+};
+
+// ✅ Migration: backfill excerpt, word count and reading time
+const migrateContentStats = async () => {
+  try {
+    const query = { wordCount: { $exists: false } };
+    const total = await Blog.countDocuments(query);
+    if (total === 0) return;
+    
+    console.log(`🔄 Computing excerpts and reading times for ${total} blog(s)...`);
+    let operations = [];
+    const flush = async () => {
+      if (operations.length === 0) return;
+      await Blog.bulkWrite(operations, { timestamps: false });
+      operations = [];
+    };
+    
+    for await (const blog of Blog.find(query).select('content excerpt').lean().cursor()) {
+      const hasExcerpt = Boolean(blog.excerpt && blog.excerpt.trim());
+      const stats = applyContentStats({
+        content: blog.content || '',
+        excerptInput: hasExcerpt ? blog.excerpt : ''
+      });
+      operations.push({ updateOne: { filter: { _id: blog._id }, update: { $set: stats } } });
+      if (operations.length >= 500) await flush();
+    }
+    await flush();
+    console.log(`✅ Backfilled content stats for ${total} blog(s)`);
+  } catch (error) {
+    console.error('❌ Content stats migration error:', error);
+  }
+};
+
+// ✅ Scheduler: flip scheduled posts to published once their time has come
+const PUBLISH_SCHEDULER_INTERVAL_MS = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+let isPublishingScheduled = false;
+
+const publishScheduledBlogs = async () => {
+  if (isPublishingScheduled) return;
+  isPublishingScheduled = true;
+  try {
+    const result = await Blog.updateMany(
+      { publicationStatus: "scheduled", publishAt: { $lte: new Date() } },
+      [{ $set: { publicationStatus: "published", publishedAt: "$publishAt", publishAt: null } }]
+    );
+    if (result.modifiedCount > 0) {
+      invalidateRelatedPostsCache();
+      console.log(`⏰ Published ${result.modifiedCount} scheduled blog(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error publishing scheduled blogs:', error);
+  } finally {
+    isPublishingScheduled = false;
+  }
+};
+
+// ✅ Trending job (opt-in): the most viewed recent posts get "Trending"
+// Only posts whose status is "None" are promoted, and only posts the job promoted are
+// cleared again, so statuses picked by editors are never overwritten.
+const TRENDING_AUTO = process.env.TRENDING_AUTO === 'true';
+const TRENDING_INTERVAL_MS = parseInt(process.env.TRENDING_INTERVAL_MS) || 60 * 60 * 1000;
+const TRENDING_WINDOW_DAYS = parseInt(process.env.TRENDING_WINDOW_DAYS) || 3;
+const TRENDING_LIMIT = parseInt(process.env.TRENDING_LIMIT) || 5;
+const TRENDING_MIN_VIEWS = parseInt(process.env.TRENDING_MIN_VIEWS) || 20;
+let isUpdatingTrending = false;
+
+const updateTrendingBlogs = async () => {
+  if (isUpdatingTrending) return;
+  isUpdatingTrending = true;
+  try {
+    // Fetch a few extra in case some top posts are unpublished or hand-labelled
+    const ranked = await getPopularBlogIds(TRENDING_WINDOW_DAYS, TRENDING_LIMIT * 3);
+    const candidates = await Blog.find({
+      ...publicBlogFilter(),
+      _id: { $in: ranked.filter(entry => entry.views >= TRENDING_MIN_VIEWS).map(entry => entry.blog) },
+      $or: [{ status: 'None' }, { autoTrending: true }]
+    }).select('_id').lean();
+    
+    const candidateIds = new Set(candidates.map(blog => blog._id.toString()));
+    const trendingIds = ranked
+      .filter(entry => candidateIds.has(entry.blog.toString()))
+      .slice(0, TRENDING_LIMIT)
+      .map(entry => entry.blog);
+    
+    // A label change by the job is not an edit, so updatedAt stays as it was
+    const [cleared, promoted] = await Promise.all([
+      Blog.updateMany(
+        { autoTrending: true, _id: { $nin: trendingIds } },
+        { $set: { status: 'None', autoTrending: false } },
+        { timestamps: false }
+      ),
+      Blog.updateMany(
+        { _id: { $in: trendingIds }, status: 'None' },
+        { $set: { status: 'Trending', autoTrending: true } },
+        { timestamps: false }
+      )
+    ]);
+    if (cleared.modifiedCount > 0 || promoted.modifiedCount > 0) {
+      console.log(`🔥 Trending updated: ${promoted.modifiedCount} promoted, ${cleared.modifiedCount} cleared`);
+    }
+  } catch (error) {
+    console.error('❌ Error updating trending blogs:', error);
+  } finally {
+    isUpdatingTrending = false;
+  }
+};
+
+const startTrendingJob = () => {
+  if (!TRENDING_AUTO) return;
+  updateTrendingBlogs();
+  setInterval(updateTrendingBlogs, TRENDING_INTERVAL_MS);
+  console.log(`🔥 Trending job running every ${TRENDING_INTERVAL_MS / 1000}s`);
+};
+
+const startPublishScheduler = () => {
+  publishScheduledBlogs();
+  setInterval(publishScheduledBlogs, PUBLISH_SCHEDULER_INTERVAL_MS);
+  console.log(`⏰ Publish scheduler running every ${PUBLISH_SCHEDULER_INTERVAL_MS / 1000}s`);
+};
+
+// ✅ MongoDB Connection with Migration
+// Only when run as the server; the tests require this file without a database.
+if (require.main === module) {
+  mongoose
+    .connect(process.env.MONGO_URI)
+    .then(async () => {
+      console.log("✅ Blogs MongoDB Connected");
+      // Run migration on startup
+      await migrateBlogSchema();
+      await migratePublicationStatus();
+      await migrateBlogAuthorIds();
+      await migrateCategories();
+      await migrateContentStats();
+      startPublishScheduler();
+      startTrendingJob();
+    })
+    .catch((err) => console.error("❌ MongoDB Connection Error:", err));
+}
+
+// ✅ Validate JWT Token Endpoint
+app.get("/api/auth/validate-token", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.isActive) {
+      return res.status(403).json({ message: "Account is inactive" });
+    }
+    
+    res.json({
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      isActive: user.isActive,
+      lastLogin: user.lastLogin,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    });
+  } catch (err) {
+    console.error("Token validation error:", err);
+    res.status(500).json({ 
+      message: "Error validating token", 
+      error: err.message 
+    });
+  }
+});
+
+// ✅ Logout Endpoint - ends the current device session
+app.post("/api/auth/logout", authenticateToken, async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sid, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+    res.json({ message: "Logged out successfully" });
+  } catch (err) {
+    console.error("Logout error:", err);
+    res.status(500).json({ 
+      message: "Error during logout", 
+      error: err.message 
+    });
+  }
+});
+
+// ✅ Per-IP rate limiting (in-process, fixed window)
+const createRateLimiter = ({ name, windowMs, max, message }) => {
+  const hits = new Map();
+  
+  // Drop finished windows so the map doesn't grow forever
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, windowMs).unref();
+  
+  return (req, res, next) => {
+    const now = Date.now();
+    const key = req.ip;
+    let entry = hits.get(key);
+    
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+    
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      console.warn(`⚠️ Rate limit "${name}" exceeded by ${key}`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message, retryAfter });
+    }
+    
+    next();
+  };
+};
+
+const loginRateLimiter = createRateLimiter({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOGIN_RATE_LIMIT) || 20,
+  message: "Too many login attempts from this IP. Please try again later."
+});
+
+const registerRateLimiter = createRateLimiter({
+  name: 'register',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.REGISTER_RATE_LIMIT) || 5,
+  message: "Too many registration attempts from this IP. Please try again later."
+});
+
+const passwordResetRateLimiter = createRateLimiter({
+  name: 'password-reset',
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_RESET_RATE_LIMIT) || 5,
+  message: "Too many password reset requests from this IP. Please try again later."
+});
+
+const commentRateLimiter = createRateLimiter({
+  name: 'comment',
+  windowMs: 10 * 60 * 1000,
+  max: parseInt(process.env.COMMENT_RATE_LIMIT) || 10,
+  message: "Too many comments from this IP. Please try again later."
+});
+
+// Enhanced role-based middleware
+const requireRole = (roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: "Access Denied: Authentication required" });
+    }
+    
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ 
+        message: "Access Denied: Insufficient permissions",
+        required: roles,
+        current: req.user.role
+      });
+    }
+    
+    next();
+  };
+};
+
+// Blog ownership middleware - the post's author may proceed, anyone else needs one of `roles`
+const requireBlogOwnership = (roles = ['admin', 'superadmin']) => {
+  const roleCheck = requireRole(roles);
+  return async (req, res, next) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ message: "Invalid Blog ID format" });
+      }
+      
+      const blog = await Blog.findById(req.params.id).select('authorId').lean();
+      if (!blog) {
+        return res.status(404).json({ message: "Blog not found" });
+      }
+      
+      if (blog.authorId && blog.authorId.toString() === req.user.id) {
+        return next();
+      }
+      
+      return roleCheck(req, res, next);
+    } catch (err) {
+      console.error("Blog ownership check error:", err);
+      res.status(500).json({ message: "Error checking blog ownership", error: err.message });
+    }
+  };
+};
+
+// --- Enhanced Authentication Routes ---
+// Register User
+// Closed unless ALLOW_SELF_REGISTRATION=true; even then only the `user` role can be
+// self-assigned. Elevated accounts are onboarded through invitations.
+const ALLOW_SELF_REGISTRATION = process.env.ALLOW_SELF_REGISTRATION === 'true';
+
+app.post("/api/auth/register", registerRateLimiter, async (req, res) => {
+  try {
+    if (!ALLOW_SELF_REGISTRATION) {
+      return res.status(403).json({ 
+        message: "Self-registration is disabled. Please ask an administrator for an invitation." 
+      });
+    }
+    
+    const { username, email, password } = req.body;
+    const role = 'user';
+    
+    if (!username || !password) {
+      return res.status(400).json({ 
         message: "Username and password are required" 
       });
     }
     
-    const existingUser = await User.findOne({ 
-      $or: [
-        { username }, 
-        ...(email ? [{ email }] : [])
-      ] 
-    });
+    const existingUser = await User.findOne({ 
+      $or: [
+        { username }, 
+        ...(email ? [{ email }] : [])
+      ] 
+    });
+    
+    if (existingUser) {
+      return res.status(409).json({ 
+        message: "User with that username or email already exists" 
+      });
+    }
+    
+    const user = new User({ username, email, password, role });
+    await user.save();
+    
+    res.status(201).json({ 
+      message: "User registered successfully!", 
+      user: user.profile 
+    });
+  } catch (err) {
+    console.error("Registration Error:", err);
+    
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ 
+        message: "Validation failed", 
+        errors 
+      });
+    }
+    
+    res.status(500).json({ 
+      message: "Error registering user", 
+      error: err.message 
+    });
+  }
+});
+
+// Login User
+app.post("/api/auth/login", loginRateLimiter, async (req, res) => {
+  try {
+    const { loginIdentifier, password } = req.body;
+    
+    if (!loginIdentifier || !password) {
+      return res.status(400).json({ 
+        message: "Login identifier and password are required" 
+      });
+    }
+    
+    const user = await User.findOne({
+      $or: [{ username: loginIdentifier }, { email: loginIdentifier }],
+      isActive: true
+    }).select('+password');
+    
+    if (!user) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    
+    if (user.isLocked) {
+      const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(423).json({ 
+        message: "Account is temporarily locked due to too many failed login attempts", 
+        retryAfter 
+      });
+    }
+    
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      const updated = await user.registerFailedLogin();
+      if (updated.lockUntil && updated.lockUntil > new Date()) {
+        console.warn(`🔒 Account ${user.username} locked until ${updated.lockUntil.toISOString()}`);
+      }
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+    
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await user.resetLoginAttempts();
+    }
+    
+    user.lastLogin = new Date();
+    await user.save();
+    
+    const { session, token, refreshToken } = await createSession(user, req);
+    
+    res.json({
+      message: "Logged in successfully",
+      token,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      sessionId: session._id,
+      user: user.profile
+    });
+  } catch (err) {
+    console.error("Login Error:", err);
+    res.status(500).json({ 
+      message: "Error during login", 
+      error: err.message 
+    });
+  }
+});
+
+// Exchange a refresh token for a new token pair (the refresh token rotates)
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+    
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+    
+    if (!session) {
+      // A rotated-out token being replayed: end that session for safety
+      const reused = await Session.findOneAndUpdate(
+        { previousTokenHash: tokenHash, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+      );
+      if (reused) {
+        console.warn(`⚠️ Refresh token reuse detected for session ${reused._id} - session revoked`);
+      }
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+    
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ message: "Session has expired or been revoked" });
+    }
+    
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await revokeAllUserSessions(session.user, 'user_inactive');
+      return res.status(403).json({ message: "Account is inactive" });
+    }
+    
+    // Rotate only if the presented token is still the current one, so two requests
+    // racing with the same token cannot both get a fresh pair
+    const newRefreshToken = generateRefreshToken();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        $set: {
+          previousTokenHash: tokenHash,
+          refreshTokenHash: hashToken(newRefreshToken),
+          lastUsedAt: new Date(),
+          ip: req.ip
+        }
+      },
+      { new: true }
+    );
+    
+    if (!rotated) {
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+      );
+      console.warn(`⚠️ Refresh token reuse detected for session ${session._id} - session revoked`);
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+    
+    res.json({
+      message: "Token refreshed successfully",
+      token: signAccessToken(user, session._id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ 
+      message: "Error refreshing token", 
+      error: err.message 
+    });
+  }
+});
+
+// ================ SESSION MANAGEMENT ENDPOINTS ================
+// List the current user's active sessions
+app.get("/api/auth/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('deviceName userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 })
+      .lean();
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session._id.toString() === req.user.sid
+      }))
+    });
+  } catch (err) {
+    console.error("Error fetching sessions:", err);
+    res.status(500).json({ message: "Error fetching sessions", error: err.message });
+  }
+});
+
+// Revoke all of the current user's sessions except this one
+app.delete("/api/auth/sessions", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllUserSessions(req.user.id, 'revoked_by_user', req.user.sid);
+    res.json({ message: `Revoked ${revoked} other session(s)`, revoked });
+  } catch (err) {
+    console.error("Error revoking sessions:", err);
+    res.status(500).json({ message: "Error revoking sessions", error: err.message });
+  }
+});
+
+// Revoke one of the current user's sessions
+app.delete("/api/auth/sessions/:sessionId", authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: "Invalid session ID format" });
+    }
+    
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: req.user.id, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'revoked_by_user' } }
+    );
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    
+    res.json({ message: "Session revoked successfully" });
+  } catch (err) {
+    console.error("Error revoking session:", err);
+    res.status(500).json({ message: "Error revoking session", error: err.message });
+  }
+});
+
+// Get current user profile
+app.get("/api/auth/profile", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    res.json({ user: user.profile });
+  } catch (err) {
+    console.error("Profile Error:", err);
+    res.status(500).json({ 
+      message: "Error fetching profile", 
+      error: err.message 
+    });
+  }
+});
+
+// Update user profile
+app.put("/api/auth/profile", authenticateToken, async (req, res) => {
+  try {
+    const { email } = req.body;
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    if (email) user.email = email;
+    await user.save();
+    
+    res.json({ 
+      message: "Profile updated successfully", 
+      user: user.profile 
+    });
+  } catch (err) {
+    console.error("Profile Update Error:", err);
+    res.status(500).json({ 
+      message: "Error updating profile", 
+      error: err.message 
+    });
+  }
+});
+
+// ================ PASSWORD ENDPOINTS ================
+// Change password (requires the current one); other sessions are signed out
+app.put("/api/auth/password", authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ 
+        message: "Current password and new password are required" 
+      });
+    }
+    
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+    
+    if (currentPassword === newPassword) {
+      return res.status(400).json({ 
+        message: "New password must be different from the current password" 
+      });
+    }
+    
+    user.password = newPassword;
+    await user.save();
+    
+    const revoked = await revokeAllUserSessions(user._id, 'password_changed', req.user.sid);
+    console.log(`🔑 ${user.username} changed password (${revoked} other session(s) revoked)`);
+    
+    // The current access token predates the change and is no longer accepted
+    res.json({
+      message: "Password changed successfully",
+      token: signAccessToken(user, req.user.sid),
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+  } catch (err) {
+    console.error("Change Password Error:", err);
+    
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+    
+    res.status(500).json({ 
+      message: "Error changing password", 
+      error: err.message 
+    });
+  }
+});
+
+// Request a password reset link (always answers the same way, to avoid leaking accounts)
+app.post("/api/auth/forgot-password", passwordResetRateLimiter, async (req, res) => {
+  const genericResponse = { 
+    message: "If an account with that email exists, a password reset link has been sent" 
+  };
+  
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+    
+    const user = await User.findOne({ 
+      email: email.toString().trim().toLowerCase(), 
+      isActive: true 
+    });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+    
+    // Only the newest link is valid
+    await PasswordResetToken.updateMany(
+      { user: user._id, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000),
+      requestedIp: req.ip
+    });
+    
+    const baseUrl = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+    const resetUrl = `${baseUrl}?token=${token}`;
+    
+    // A mail failure must not tell the caller whether the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your blog panel password",
+        text: `Hi ${user.username},\n\n` +
+          `Use the link below to choose a new password:\n${resetUrl}\n\n` +
+          `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+          `If you did not request this, you can ignore this email.`
+      });
+    } catch (mailErr) {
+      console.error("Forgot Password mail error:", mailErr);
+    }
+    
+    res.json(genericResponse);
+  } catch (err) {
+    console.error("Forgot Password Error:", err);
+    res.status(500).json({ 
+      message: "Error requesting password reset", 
+      error: err.message 
+    });
+  }
+});
+
+// Reset the password with a reset token; every existing session is revoked
+app.post("/api/auth/reset-password", passwordResetRateLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    
+    if (!token || !newPassword) {
+      return res.status(400).json({ 
+        message: "Token and new password are required" 
+      });
+    }
+    
+    // Check the password before the token is spent on it
+    if (newPassword.length < 6) {
+      return res.status(400).json({ 
+        message: "Validation failed", 
+        errors: ['Password must be at least 6 characters long'] 
+      });
+    }
+    
+    // Claim the token atomically so it can only be used once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { usedAt: new Date() } }
+    );
+    if (!resetToken) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+    
+    const user = await User.findById(resetToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+    
+    user.password = newPassword;
+    await user.save();
+    
+    await user.resetLoginAttempts();
+    const revoked = await revokeAllUserSessions(user._id, 'password_reset');
+    console.log(`🔑 Password reset for ${user.username} (${revoked} session(s) revoked)`);
+    
+    res.json({ message: "Password has been reset. Please log in with your new password." });
+  } catch (err) {
+    console.error("Reset Password Error:", err);
+    
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+    
+    res.status(500).json({ 
+      message: "Error resetting password", 
+      error: err.message 
+    });
+  }
+});
+
+// ================ USER MANAGEMENT ENDPOINTS ================
+// Get all users (Admin/SuperAdmin only)
+app.get("/api/auth/users", authenticateToken, async (req, res) => {
+  try {
+    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
+      return res.status(403).json({ 
+        message: "Access denied. Admin privileges required.",
+        requiredRole: ["admin", "superadmin"],
+        currentRole: req.user.role
+      });
+    }
+    
+    console.log(`Admin ${req.user.username} fetching all users`);
+    
+    const users = await User.find({}, { password: 0 }).sort({ createdAt: -1 });
+    
+    console.log(`Found ${users.length} users`);
+    res.json(users);
+    
+  } catch (err) {
+    console.error("Error fetching users:", err);
+    res.status(500).json({ 
+      message: "Error fetching users", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Get specific user by ID (Admin/SuperAdmin only)
+app.get("/api/auth/users/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
+      return res.status(403).json({ 
+        message: "Access denied. Admin privileges required." 
+      });
+    }
+    
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    
+    const user = await User.findById(id, { password: 0 });
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    res.json(user);
+  } catch (err) {
+    console.error("Error fetching user:", err);
+    res.status(500).json({ 
+      message: "Error fetching user", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Update user (Admin/SuperAdmin only)
+app.put("/api/auth/users/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
+      return res.status(403).json({ 
+        message: "Access denied. Admin privileges required." 
+      });
+    }
+    
+    const { id } = req.params;
+    const { username, email, role, isActive } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    
+    const userToUpdate = await User.findById(id);
+    if (!userToUpdate) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    if (userToUpdate.username === 'admin' && username && username !== 'admin') {
+      return res.status(403).json({ 
+        message: "Cannot change main admin username" 
+      });
+    }
+    
+    if (role === 'superadmin' && req.user.role.toLowerCase() !== 'superadmin') {
+      return res.status(403).json({ 
+        message: "Only superadmin can promote users to superadmin role" 
+      });
+    }
+    
+    const updateData = {};
+    if (username) updateData.username = username;
+    if (email) updateData.email = email;
+    if (role) updateData.role = role;
+    if (typeof isActive === 'boolean') updateData.isActive = isActive;
+    
+    const updatedUser = await User.findByIdAndUpdate(
+      id, 
+      updateData, 
+      { new: true, runValidators: true }
+    ).select({ password: 0 });
+    
+    // Deactivated users lose every open session immediately
+    if (updateData.isActive === false) {
+      await revokeAllUserSessions(updatedUser._id, 'user_deactivated');
+    }
+    
+    console.log(`User ${updatedUser.username} updated by ${req.user.username}`);
+    res.json({ 
+      message: "User updated successfully",
+      user: updatedUser
+    });
+  } catch (err) {
+    console.error("Error updating user:", err);
+    
+    if (err.code === 11000) {
+      return res.status(409).json({ 
+        message: "Username or email already exists" 
+      });
+    }
+    
+    res.status(500).json({ 
+      message: "Error updating user", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Delete user (Admin/SuperAdmin only)
+app.delete("/api/auth/users/:id", authenticateToken, async (req, res) => {
+  try {
+    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
+      return res.status(403).json({ 
+        message: "Access denied. Admin privileges required." 
+      });
+    }
+    
+    const { id } = req.params;
+    console.log(`Admin ${req.user.username} attempting to delete user: ${id}`);
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    
+    const userToDelete = await User.findById(id);
+    if (!userToDelete) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    console.log(`Found user to delete: ${userToDelete.username}`);
+    
+    if (userToDelete.username === 'admin') {
+      return res.status(403).json({ 
+        message: "Cannot delete the main admin user" 
+      });
+    }
+    
+    if (userToDelete._id.toString() === req.user.id) {
+      return res.status(403).json({ 
+        message: "Cannot delete yourself" 
+      });
+    }
+    
+    if (userToDelete.role === 'superadmin' && req.user.role.toLowerCase() !== 'superadmin') {
+      return res.status(403).json({ 
+        message: "Only superadmin can delete other superadmins" 
+      });
+    }
+    
+    await User.findByIdAndDelete(id);
+    await revokeAllUserSessions(userToDelete._id, 'user_deleted');
+    console.log(`User ${userToDelete.username} deleted successfully`);
+    
+    res.json({ 
+      message: `User "${userToDelete.username}" deleted successfully`,
+      deletedUser: {
+        id: userToDelete._id,
+        username: userToDelete.username,
+        role: userToDelete.role
+      }
+    });
+  } catch (err) {
+    console.error("Error deleting user:", err);
+    res.status(500).json({ 
+      message: "Error deleting user", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Unlock a locked-out account (Admin/SuperAdmin only)
+app.post("/api/auth/users/:id/unlock", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    await user.resetLoginAttempts();
+    console.log(`🔓 Admin ${req.user.username} unlocked ${user.username}`);
+    
+    res.json({ message: `User "${user.username}" unlocked successfully` });
+  } catch (err) {
+    console.error("Error unlocking user:", err);
+    res.status(500).json({ 
+      message: "Error unlocking user", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Revoke all sessions of a user (Admin/SuperAdmin only)
+app.delete("/api/auth/users/:id/sessions", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+    
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    
+    if (user.role === 'superadmin' && req.user.role !== 'superadmin') {
+      return res.status(403).json({ 
+        message: "Only superadmin can revoke superadmin sessions" 
+      });
+    }
+    
+    const revoked = await revokeAllUserSessions(user._id, 'revoked_by_admin');
+    console.log(`Admin ${req.user.username} revoked ${revoked} session(s) of ${user.username}`);
+    
+    res.json({ 
+      message: `Revoked ${revoked} session(s) for "${user.username}"`,
+      revoked
+    });
+  } catch (err) {
+    console.error("Error revoking user sessions:", err);
+    res.status(500).json({ 
+      message: "Error revoking user sessions", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// ================ INVITATION ENDPOINTS ================
+// Helper function to build the link an invitee opens in the panel
+const buildInvitationUrl = (token) => {
+  const baseUrl = process.env.INVITATION_BASE_URL || 'http://localhost:3000/accept-invitation';
+  return `${baseUrl}?token=${token}`;
+};
+
+// Helper function to issue a fresh token and expiry on an invitation
+const issueInvitationToken = (invitation) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  invitation.tokenHash = hashToken(token);
+  invitation.expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+  invitation.lastSentAt = new Date();
+  return token;
+};
+
+// Helper function to email the invitation link (delivery problems don't fail the request)
+const sendInvitationEmail = async (invitation, token) => {
+  const inviteUrl = buildInvitationUrl(token);
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: "You're invited to the Connecting Dots ERP blog panel",
+      text: `You have been invited to join the blog panel as ${invitation.role}.\n\n` +
+        `Accept the invitation here: ${inviteUrl}\n\n` +
+        `This link expires on ${invitation.expiresAt.toUTCString()}.`
+    });
+  } catch (error) {
+    console.error(`❌ Error sending invitation email to ${invitation.email}:`, error);
+  }
+};
+
+// Helper function to find an invitation that can still be accepted
+const findPendingInvitation = (token) => Invitation.findOne({
+  tokenHash: hashToken(token),
+  acceptedAt: null,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Create an invitation (Admin/SuperAdmin only)
+app.post("/api/auth/invitations", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { email, role = 'user' } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+    
+    if (role === 'superadmin' && req.user.role !== 'superadmin') {
+      return res.status(403).json({ 
+        message: "Only superadmin can invite users with superadmin role" 
+      });
+    }
+    
+    const normalizedEmail = email.toString().trim().toLowerCase();
+    
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(409).json({ message: "A user with that email already exists" });
+    }
+    
+    const pendingInvitation = await Invitation.findOne({
+      email: normalizedEmail,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    if (pendingInvitation) {
+      return res.status(409).json({ 
+        message: "A pending invitation already exists for that email. Resend it instead.",
+        invitationId: pendingInvitation._id
+      });
+    }
+    
+    const invitation = new Invitation({
+      email: normalizedEmail,
+      role,
+      invitedBy: { id: req.user.id, username: req.user.username }
+    });
+    const token = issueInvitationToken(invitation);
+    await invitation.save();
+    await sendInvitationEmail(invitation, token);
+    
+    console.log(`✉️ ${req.user.username} invited ${normalizedEmail} as ${role}`);
+    res.status(201).json({
+      message: "Invitation created successfully",
+      invitation,
+      inviteUrl: buildInvitationUrl(token)
+    });
+  } catch (err) {
+    console.error("Error creating invitation:", err);
+    
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+    
+    res.status(500).json({ 
+      message: "Error creating invitation", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// List invitations (Admin/SuperAdmin only) - pending ones by default
+app.get("/api/auth/invitations", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const now = new Date();
+    let query = {};
+    
+    if (status === 'pending') {
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } };
+    } else if (status === 'accepted') {
+      query = { acceptedAt: { $ne: null } };
+    } else if (status === 'revoked') {
+      query = { revokedAt: { $ne: null } };
+    } else if (status === 'expired') {
+      query = { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } };
+    } else if (status !== 'all') {
+      return res.status(400).json({ 
+        message: "Status must be one of: pending, accepted, revoked, expired, all" 
+      });
+    }
+    
+    const invitations = await Invitation.find(query).sort({ createdAt: -1 });
+    res.json({ invitations, total: invitations.length });
+  } catch (err) {
+    console.error("Error fetching invitations:", err);
+    res.status(500).json({ 
+      message: "Error fetching invitations", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Resend an invitation with a fresh token and expiry (Admin/SuperAdmin only)
+app.post("/api/auth/invitations/:id/resend", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid invitation ID format" });
+    }
+    
+    const invitation = await Invitation.findById(id);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation not found" });
+    }
+    if (invitation.acceptedAt || invitation.revokedAt) {
+      return res.status(409).json({ message: `Invitation has already been ${invitation.state}` });
+    }
+    
+    const token = issueInvitationToken(invitation);
+    invitation.sendCount += 1;
+    await invitation.save();
+    await sendInvitationEmail(invitation, token);
+    
+    res.json({
+      message: "Invitation resent successfully",
+      invitation,
+      inviteUrl: buildInvitationUrl(token)
+    });
+  } catch (err) {
+    console.error("Error resending invitation:", err);
+    res.status(500).json({ 
+      message: "Error resending invitation", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Revoke a pending invitation (Admin/SuperAdmin only)
+app.delete("/api/auth/invitations/:id", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid invitation ID format" });
+    }
+    
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invitation) {
+      return res.status(404).json({ message: "Pending invitation not found" });
+    }
+    
+    res.json({ message: "Invitation revoked successfully", invitation });
+  } catch (err) {
+    console.error("Error revoking invitation:", err);
+    res.status(500).json({ 
+      message: "Error revoking invitation", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// Look up an invitation by token (public - used by the accept form)
+app.get("/api/auth/invitations/token/:token", async (req, res) => {
+  try {
+    const invitation = await findPendingInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation is invalid or has expired" });
+    }
+    
+    res.json({ 
+      email: invitation.email, 
+      role: invitation.role, 
+      expiresAt: invitation.expiresAt 
+    });
+  } catch (err) {
+    console.error("Error looking up invitation:", err);
+    res.status(500).json({ message: "Error looking up invitation", error: err.message });
+  }
+});
+
+// Accept an invitation and create the account with the invited role (public)
+app.post("/api/auth/invitations/accept", registerRateLimiter, async (req, res) => {
+  try {
+    const { token, username, password } = req.body;
+    
+    if (!token || !username || !password) {
+      return res.status(400).json({ 
+        message: "Token, username and password are required" 
+      });
+    }
+    
+    const invitation = await findPendingInvitation(token);
+    if (!invitation) {
+      return res.status(404).json({ message: "Invitation is invalid or has expired" });
+    }
+    
+    const existingUser = await User.findOne({ 
+      $or: [{ username }, { email: invitation.email }] 
+    });
+    if (existingUser) {
+      return res.status(409).json({ 
+        message: "User with that username or email already exists" 
+      });
+    }
+    
+    const user = new User({ 
+      username, 
+      email: invitation.email, 
+      password, 
+      role: invitation.role 
+    });
+    await user.save();
+    
+    // Claim the invitation atomically so it can only ever be used once
+    const claimed = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, acceptedAt: null, revokedAt: null },
+      { $set: { acceptedAt: new Date(), acceptedUser: user._id } }
+    );
+    if (!claimed) {
+      await User.findByIdAndDelete(user._id);
+      return res.status(409).json({ message: "Invitation has already been used" });
+    }
+    
+    console.log(`✅ Invitation accepted: ${user.username} joined as ${user.role}`);
+    res.status(201).json({ 
+      message: "Invitation accepted. Account created successfully!", 
+      user: user.profile 
+    });
+  } catch (err) {
+    console.error("Invitation acceptance error:", err);
+    
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: "Validation failed", errors });
+    }
+    if (err.code === 11000) {
+      return res.status(409).json({ message: "Username or email already exists" });
+    }
+    
+    res.status(500).json({ 
+      message: "Error accepting invitation", 
+      error: err.message 
+    });
+  }
+});
+
+// ✅ General ping endpoint
+app.get("/api/ping", (req, res) => {
+  res.json({ 
+    message: "Server is running!", 
+    timestamp: new Date().toISOString(),
+    status: "healthy",
+    server: "Express Blog Backend"
+  });
+});
+
+// ✅ Wake/Ping Endpoint
+app.get("/api/blogs/ping", (req, res) => {
+  res.status(200).json({ message: "Server is awake!" });
+});
+
+// Helper function to build a list projection from `?fields=a,b` or `?includeContent=false`
+// Returns { projection, error }; listings keep every field when neither is given.
+const buildListProjection = ({ fields, includeContent }) => {
+  if (fields) {
+    const requested = fields.toString().split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = requested.filter(field => Blog.schema.pathType(field) === 'adhocOrUndefined');
+    if (unknown.length > 0) {
+      return { projection: null, error: `Unknown field(s): ${unknown.join(', ')}` };
+    }
+    return { projection: requested.join(' '), error: null };
+  }
+  if (includeContent === 'false') return { projection: '-content', error: null };
+  return { projection: null, error: null };
+};
+
+// ✅ Fetch all blogs WITH TAGS AND COURSES SUPPORT
+// Pass `includeContent=false` (or `fields=`) for lightweight listings with excerpt/readingTimeMinutes.
+app.get("/api/blogs", async (req, res) => {
+  try {
+    const { category, subcategory, status, tags, limit, skip } = req.query;
+    let query = publicBlogFilter();
+    
+    const { projection, error } = buildListProjection(req.query);
+    if (error) return res.status(400).json({ message: error });
+    
+    if (category) query.category = category;
+    if (subcategory) query.subcategory = subcategory;
+    if (status) query.status = status;
+    
+    // Add tag filtering support
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
+      query.tags = { $in: tagArray };
+    }
+    
+    const parsedLimit = parseInt(limit) || 8;
+    const parsedSkip = parseInt(skip) || 0;
+    
+    const blogs = await Blog.find(query)
+      .select(projection)
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .skip(parsedSkip)
+      .limit(parsedLimit + 1);
+    
+    const hasMore = blogs.length > parsedLimit;
+    const blogsToSend = hasMore ? blogs.slice(0, parsedLimit) : blogs;
+    
+    res.json({ blogs: blogsToSend, hasMore });
+  } catch (err) {
+    console.error("Error fetching blogs:", err);
+    res.status(500).json({ message: "Error fetching blogs", error: err.message });
+  }
+});
+
+// ✅ ENHANCED: Backend tags endpoint with null filtering
+app.get("/api/blogs/tags", async (req, res) => {
+  try {
+    console.log('🏷️ Fetching all tags from database...');
+    const tags = await Blog.distinct("tags", publicBlogFilter());
+    
+    // ✅ ENHANCED: Filter out null, undefined, empty, and non-string values
+    const sortedTags = tags
+      .filter(tag => {
+        return tag && 
+               typeof tag === 'string' && 
+               tag.trim() !== '';
+      })
+      .map(tag => tag.trim()) // Clean up whitespace
+      .sort();
+    
+    console.log(`Found ${sortedTags.length} valid unique tags`);
+    res.json({ 
+      tags: sortedTags,
+      count: sortedTags.length
+    });
+  } catch (err) {
+    console.error("❌ Error fetching tags:", err);
+    res.status(500).json({ message: "Error fetching tags", error: err.message });
+  }
+});
+
+
+// ✅ Search blogs by tags
+app.get("/api/blogs/search/tags", async (req, res) => {
+  try {
+    const { tags, limit, skip } = req.query;
+    
+    if (!tags) {
+      return res.status(400).json({ message: "Tags parameter is required" });
+    }
+    
+    const tagArray = Array.isArray(tags) ? tags : [tags];
+    const query = { ...publicBlogFilter(), tags: { $in: tagArray } };
+    
+    const { projection, error } = buildListProjection(req.query);
+    if (error) return res.status(400).json({ message: error });
+    
+    const [blogs, total] = await Promise.all([
+      Blog.find(query)
+        .select(projection)
+        .sort({ publishedAt: -1, createdAt: -1 })
+        .limit(parseInt(limit) || 10)
+        .skip(parseInt(skip) || 0)
+        .lean(),
+      Blog.countDocuments(query)
+    ]);
+    
+    res.json({
+      blogs,
+      total,
+      limit: parseInt(limit) || 10,
+      skip: parseInt(skip) || 0
+    });
+  } catch (err) {
+    console.error("Error searching blogs by tags:", err);
+    res.status(500).json({ message: "Error searching blogs", error: err.message });
+  }
+});
+
+// ✅ Full-text search across title, content, tags, category and course names
+app.get("/api/blogs/search", async (req, res) => {
+  try {
+    const { q, category, subcategory, status, limit, skip } = req.query;
+    
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ message: "Search query parameter 'q' is required" });
+    }
+    
+    const query = {
+      ...publicBlogFilter(),
+      $text: { $search: q.trim() }
+    };
+    if (category) query.category = category;
+    if (subcategory) query.subcategory = subcategory;
+    if (status) query.status = status;
+    
+    const parsedLimit = Math.max(Math.min(parseInt(limit) || 10, 50), 1);
+    const parsedSkip = Math.max(parseInt(skip) || 0, 0);
+    
+    const [blogs, total] = await Promise.all([
+      Blog.find(query, { score: { $meta: "textScore" } })
+        .select('title slug content category subcategory status tags author image commentCount publishedAt createdAt')
+        .sort({ score: { $meta: "textScore" }, publishedAt: -1 })
+        .skip(parsedSkip)
+        .limit(parsedLimit)
+        .lean(),
+      Blog.countDocuments(query)
+    ]);
+    
+    const terms = getSearchTerms(q);
+    const results = blogs.map(({ content, ...blog }) => ({
+      ...blog,
+      highlights: {
+        title: highlightTerms(blog.title, terms),
+        snippet: buildSearchSnippet(content, terms)
+      }
+    }));
+    
+    res.json({
+      results,
+      total,
+      limit: parsedLimit,
+      skip: parsedSkip,
+      hasMore: parsedSkip + results.length < total
+    });
+  } catch (err) {
+    console.error("Error searching blogs:", err);
+    res.status(500).json({ message: "Error searching blogs", error: err.message });
+  }
+});
+
+// ✅ Most viewed published posts over the last `days` days (default 7, max 365)
+app.get("/api/blogs/popular", async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 365);
+    const parsedLimit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const { category } = req.query;
+    
+    // Over-fetch so filtered-out (unpublished, other category) posts don't leave gaps
+    const ranked = await getPopularBlogIds(days, parsedLimit * 5);
+    const query = { ...publicBlogFilter(), _id: { $in: ranked.map(entry => entry.blog) } };
+    if (category) query.category = category;
+    
+    const blogs = await Blog.find(query).select('-content').lean();
+    const blogById = new Map(blogs.map(blog => [blog._id.toString(), blog]));
+    
+    const popular = ranked
+      .filter(entry => blogById.has(entry.blog.toString()))
+      .slice(0, parsedLimit)
+      .map(entry => ({ ...blogById.get(entry.blog.toString()), periodViews: entry.views }));
+    
+    res.json({ blogs: popular, days, total: popular.length });
+  } catch (err) {
+    console.error("Error fetching popular blogs:", err);
+    res.status(500).json({ message: "Error fetching popular blogs", error: err.message });
+  }
+});
+
+// ✅ Get current user's blog posts only
+app.get("/api/blogs/my-posts", authenticateToken, async (req, res) => {
+  try {
+    const { category, subcategory, status, publicationStatus, tags, limit, skip } = req.query;
+    
+    console.log(`Fetching posts for user: ${req.user.username} (ID: ${req.user.id})`);
+    
+    // Build query for current user's posts only
+    let query = { authorId: req.user.id };
+    
+    if (category) query.category = category;
+    if (subcategory) query.subcategory = subcategory;
+    if (status) query.status = status;
+    if (publicationStatus) query.publicationStatus = publicationStatus;
+    
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
+      query.tags = { $in: tagArray };
+    }
+    
+    const parsedLimit = parseInt(limit) || 50;
+    const parsedSkip = parseInt(skip) || 0;
+    
+    const { projection, error } = buildListProjection(req.query);
+    if (error) return res.status(400).json({ message: error });
+    
+    const posts = await Blog.find(query)
+      .select(projection)
+      .sort({ createdAt: -1 })
+      .skip(parsedSkip)
+      .limit(parsedLimit);
+    
+    // Authors see how many comments wait for their moderation
+    const pendingCounts = await Comment.aggregate([
+      { $match: { blog: { $in: posts.map(post => post._id) }, status: 'pending' } },
+      { $group: { _id: '$blog', count: { $sum: 1 } } }
+    ]);
+    const pendingByBlog = new Map(pendingCounts.map(({ _id, count }) => [_id.toString(), count]));
+    const blogs = posts.map(post => ({
+      ...post.toJSON(),
+      pendingCommentCount: pendingByBlog.get(post._id.toString()) || 0
+    }));
+    
+    console.log(`✅ Found ${blogs.length} posts for user ${req.user.username}`);
+    
+    res.json({ 
+      blogs, 
+      total: blogs.length,
+      author: req.user.username 
+    });
+    
+  } catch (err) {
+    console.error("Error fetching user blogs:", err);
+    res.status(500).json({ message: "Error fetching user blogs", error: err.message });
+  }
+});
+
+// ====================================
+// PARAMETERIZED ROUTES (most specific to least specific)
+// ====================================
+
+// ✅ Fetch blog by SLUG (more specific than ID)
+// Old slugs answer with a redirect signal the frontend turns into a 301.
+app.get("/api/blogs/slug/:slug", async (req, res) => {
+  try {
+    const blog = await Blog.findOne({ ...publicBlogFilter(), slug: req.params.slug });
+    if (!blog) {
+      const renamedBlog = await Blog.findOne({
+        ...publicBlogFilter(),
+        'previousSlugs.slug': req.params.slug.toLowerCase()
+      }).select('slug');
+      if (renamedBlog) {
+        return res.json({
+          redirect: {
+            statusCode: 301,
+            slug: renamedBlog.slug,
+            from: req.params.slug
+          }
+        });
+      }
+      return res.status(404).json({ message: "Blog not found" });
+    }
+    recordBlogView(blog, req);
+    res.json(blog);
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching blog", error: err.message });
+  }
+});
+
+// ✅ Parameterized routes (ID-based)
+// Live posts are public. Drafts and scheduled posts are only served to a signed-in
+// author or admin; everyone else gets the same 404 as for a missing post.
+app.get("/api/blogs/:id", async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid Blog ID format" });
+    }
+    const blog = await Blog.findOne({ ...publicBlogFilter(), _id: req.params.id });
+    if (blog) return res.json(blog);
+    if (!req.headers["authorization"]) {
+      return res.status(404).json({ message: "Blog not found" });
+    }
+    next();
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching blog", error: err.message });
+  }
+}, authenticateToken, requireBlogOwnership(), async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    res.json(blog);
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching blog", error: err.message });
+  }
+});
+
+// ✅ Create a new blog WITH COURSES SUPPORT
+app.post(
+  "/api/blogs",
+  authenticateToken,
+  uploadFields,
+  async (req, res) => {
+    try {
+      const {
+        title,
+        content,
+        author,
+        status,
+        slug: providedSlug,
+        tags: tagsInput,
+        courses: coursesInput
+      } = req.body;
+      
+      const publication = resolvePublicationState(req.body);
+      // Thrown so the catch below also removes any files multer already stored
+      if (publication.error) {
+        throw createHttpError(400, publication.error);
+      }
+      
+      const categories = await resolveBlogCategories(req.body);
+      if (categories.error) {
+        throw createHttpError(400, categories.error);
+      }
+      
+      const seoInput = parseSeoInput(req.body.seo);
+      if (seoInput.error) {
+        throw createHttpError(400, seoInput.error);
+      }
+      
+      console.log("📝 Creating blog with courses:", {
+        title,
+        coursesInput,
+        files: req.files
+      });
+      
+      let blogSlug;
+      if (providedSlug) {
+        blogSlug = generateSlug(providedSlug);
+      } else {
+        blogSlug = generateSlug(title);
+      }
+      blogSlug = await findUniqueSlug(blogSlug, Blog);
+      
+      // Handle Featured Image
+      let imagePath = null;
+      let imagePublicId = null;
+      let imageMeta = null;
+      if (req.files && req.files.image && req.files.image[0]) {
+        const imageFile = req.files.image[0];
+        imagePath = imageFile.path;
+        imagePublicId = imageFile.filename || getPublicIdFromUrl(imagePath);
+        imageMeta = buildImageMeta(imageFile.imageMeta, req.body.imageAlt, req.body.imageCaption);
+        console.log("📸 Featured image uploaded:", imagePath);
+      } else if (req.body.imageMediaId) {
+        const { media, error } = await findMediaForReference(req.body.imageMediaId);
+        if (error) throw createHttpError(400, error);
+        imagePath = media.url;
+        imagePublicId = media.publicId;
+        imageMeta = buildImageMeta(toPlainImageMeta(media.meta), req.body.imageAlt, req.body.imageCaption);
+      }
+      
+      // Handle Banner Image
+      let bannerImagePath = null;
+      let bannerImagePublicId = null;
+      let bannerImageMeta = null;
+      if (req.files && req.files.bannerImage && req.files.bannerImage[0]) {
+        const bannerFile = req.files.bannerImage[0];
+        bannerImagePath = bannerFile.path;
+        bannerImagePublicId = bannerFile.filename || getPublicIdFromUrl(bannerImagePath);
+        bannerImageMeta = buildImageMeta(bannerFile.imageMeta, req.body.bannerImageAlt, req.body.bannerImageCaption);
+        console.log("🖼️ Banner image uploaded:", bannerImagePath);
+      } else if (req.body.bannerImageMediaId) {
+        const { media, error } = await findMediaForReference(req.body.bannerImageMediaId);
+        if (error) throw createHttpError(400, error);
+        bannerImagePath = media.url;
+        bannerImagePublicId = media.publicId;
+        bannerImageMeta = buildImageMeta(toPlainImageMeta(media.meta), req.body.bannerImageAlt, req.body.bannerImageCaption);
+      }
+      
+      // ✅ Process courses data
+      let processedCourses = [];
+      let courseImagesData = [];
+      
+      if (coursesInput) {
+        try {
+          const coursesArray = typeof coursesInput === 'string' ? JSON.parse(coursesInput) : coursesInput;
+          
+          // Handle course images
+          const courseImages = req.files && req.files.courseImages ? req.files.courseImages : [];
+          
+          processedCourses = await Promise.all(coursesArray.map(async (course, index) => {
+            const courseImage = courseImages[index];
+            let courseImagePath = null;
+            let courseImagePublicId = null;
+            let courseImageMeta = null;
+            
+            if (courseImage) {
+              courseImagePath = courseImage.path;
+              courseImagePublicId = courseImage.filename || getPublicIdFromUrl(courseImagePath);
+              courseImageMeta = buildImageMeta(courseImage.imageMeta, course.imageAlt, course.imageCaption);
+              
+              // Store metadata for cleanup
+              courseImagesData.push({
+                fieldIndex: index,
+                publicId: courseImagePublicId,
+                url: courseImagePath
+              });
+              
+              console.log(`🎓 Course ${index + 1} image uploaded:`, courseImagePath);
+            } else if (course.mediaId) {
+              const { media, error } = await findMediaForReference(course.mediaId);
+              if (error) throw createHttpError(400, `Course at index ${index}: ${error}`);
+              courseImagePath = media.url;
+              courseImagePublicId = media.publicId;
+              courseImageMeta = buildImageMeta(toPlainImageMeta(media.meta), course.imageAlt, course.imageCaption);
+            }
+            
+            return {
+              name: course.name,
+              description: course.description,
+              courseUrl: course.courseUrl,
+              courseImage: courseImagePath,
+              courseImagePublicId: courseImagePublicId,
+              courseImageMeta
+            };
+          }));
+          
+          console.log("🎓 Processed courses:", processedCourses.length);
+        } catch (err) {
+          if (err.statusCode) throw err;
+          console.error("Error processing courses:", err);
+          throw new Error("Invalid courses data format");
+        }
+      }
+      
+      // Process tags
+      const processedTags = processTags(tagsInput);
+      
+      const sanitized = sanitizeBlogContent(content);
+      if (hasStrippedContent(sanitized.report)) {
+        console.warn(`⚠️ Unsafe markup stripped from new blog "${title}":`, sanitized.report);
+      }
+      
+      const newBlog = new Blog({
+        title,
+        slug: blogSlug,
+        content: sanitized.html,
+        ...applyContentStats({ content: sanitized.html, excerptInput: req.body.excerpt }),
+        ...(seoInput.seo && { seo: seoInput.seo }),
+        ...categories.data,
+        author: author || req.user.username,
+        authorId: req.user.id,
+        image: imagePath,
+        imagePublicId,
+        imageMeta,
+        bannerImage: bannerImagePath,
+        bannerImagePublicId,
+        bannerImageMeta,
+        status: status || "None",
+        tags: processedTags,
+        courses: processedCourses,
+        courseImagesData: courseImagesData,
+        ...publication.data
+      });
+      
+      await newBlog.save();
+      invalidateRelatedPostsCache();
+      console.log("✅ Blog created successfully with courses and images");
+      
+      res.status(201).json({ 
+        message: "Blog created successfully with courses", 
+        blog: newBlog,
+        sanitization: sanitized.report
+      });
+    } catch (err) {
+      // Cleanup uploaded files if blog creation fails
+      await cleanupUploadedFiles(req.files);
+      
+      if (err.code === 11000 && err.keyPattern && err.keyPattern.slug) {
+        return res.status(409).json({
+          message: "A blog with a similar title/slug already exists. Please choose a unique title or provide a custom slug.",
+          error: err.message,
+        });
+      }
+      if (err.statusCode) {
+        return res.status(err.statusCode).json({ message: err.message });
+      }
+      console.error("Error creating blog:", err);
+      res.status(500).json({ message: "Error creating blog", error: err.message });
+    }
+  }
+);
+
+// Update a blog WITH COURSES SUPPORT - Improved Implementation
+app.put('/api/blogs/:id', authenticateToken, requireBlogOwnership(), uploadFields, async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('Updating blog:', id);
+    
+    // Validate blog ID
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw createHttpError(400, 'Invalid Blog ID format');
+    }
+
+    // Find existing blog
+    const existingBlog = await Blog.findById(id);
+    if (!existingBlog) {
+      throw createHttpError(404, 'Blog not found');
+    }
+
+    const publication = resolvePublicationState(req.body, existingBlog);
+    if (publication.error) {
+      throw createHttpError(400, publication.error);
+    }
+    const categories = await resolveBlogCategories(req.body, { partial: true });
+    if (categories.error) {
+      throw createHttpError(400, categories.error);
+    }
+    const seoInput = parseSeoInput(req.body.seo, existingBlog.seo?.toObject?.() || {});
+    if (seoInput.error) {
+      throw createHttpError(400, seoInput.error);
+    }
+    const updatedData = { ...publication.data, ...categories.data };
+    if (seoInput.seo) updatedData.seo = seoInput.seo;
+    const replacedPublicIds = [];
+
+    // Process tags if provided
+    if (req.body.tags !== undefined) {
+      try {
+        updatedData.tags = processTags(req.body.tags);
+      } catch (e) {
+        throw createHttpError(400, 'Invalid tags format');
+      }
+    }
+
+    // Process courses if provided
+    if (Object.prototype.hasOwnProperty.call(req.body, 'courses')) {
+      const { validCourses, courseImagesData, error } = await processCourses(req.body.courses, req.files, existingBlog.courses);
+      if (error) {
+        throw createHttpError(400, error);
+      }
+      updatedData.courses = validCourses;
+      updatedData.courseImagesData = courseImagesData;
+    }
+
+    // Handle slug update if title or slug changed
+    if (req.body.title || req.body.slug) {
+      const slugResult = await handleSlugUpdate(req.body, existingBlog);
+      if (slugResult.error) {
+        throw createHttpError(400, slugResult.error);
+      }
+      updatedData.slug = slugResult.slug;
+      if (slugResult.previousSlugs) {
+        updatedData.previousSlugs = slugResult.previousSlugs;
+      }
+    }
+
+    // Handle featured image upload
+    if (req.files?.image?.[0]) {
+      const { path, publicId } = await handleImageUpload(
+        req.files.image[0],
+        existingBlog.imagePublicId,
+        replacedPublicIds
+      );
+      updatedData.image = path;
+      updatedData.imagePublicId = publicId;
+      updatedData.imageMeta = buildImageMeta(req.files.image[0].imageMeta, req.body.imageAlt, req.body.imageCaption);
+    } else if (req.body.imageMediaId) {
+      const { media, error } = await findMediaForReference(req.body.imageMediaId);
+      if (error) {
+        throw createHttpError(400, error);
+      }
+      if (existingBlog.imagePublicId && existingBlog.imagePublicId !== media.publicId) {
+        replacedPublicIds.push(existingBlog.imagePublicId);
+      }
+      updatedData.image = media.url;
+      updatedData.imagePublicId = media.publicId;
+      updatedData.imageMeta = buildImageMeta(toPlainImageMeta(media.meta), req.body.imageAlt, req.body.imageCaption);
+    } else if (existingBlog.image && (req.body.imageAlt !== undefined || req.body.imageCaption !== undefined)) {
+      updatedData.imageMeta = buildImageMeta(toPlainImageMeta(existingBlog.imageMeta), req.body.imageAlt, req.body.imageCaption);
+    }
+
+    // Handle banner image upload
+    if (req.files?.bannerImage?.[0]) {
+      const { path, publicId } = await handleImageUpload(
+        req.files.bannerImage[0],
+        existingBlog.bannerImagePublicId,
+        replacedPublicIds
+      );
+      updatedData.bannerImage = path;
+      updatedData.bannerImagePublicId = publicId;
+      updatedData.bannerImageMeta = buildImageMeta(req.files.bannerImage[0].imageMeta, req.body.bannerImageAlt, req.body.bannerImageCaption);
+    } else if (req.body.bannerImageMediaId) {
+      const { media, error } = await findMediaForReference(req.body.bannerImageMediaId);
+      if (error) {
+        throw createHttpError(400, error);
+      }
+      if (existingBlog.bannerImagePublicId && existingBlog.bannerImagePublicId !== media.publicId) {
+        replacedPublicIds.push(existingBlog.bannerImagePublicId);
+      }
+      updatedData.bannerImage = media.url;
+      updatedData.bannerImagePublicId = media.publicId;
+      updatedData.bannerImageMeta = buildImageMeta(toPlainImageMeta(media.meta), req.body.bannerImageAlt, req.body.bannerImageCaption);
+    } else if (existingBlog.bannerImage && (req.body.bannerImageAlt !== undefined || req.body.bannerImageCaption !== undefined)) {
+      updatedData.bannerImageMeta = buildImageMeta(toPlainImageMeta(existingBlog.bannerImageMeta), req.body.bannerImageAlt, req.body.bannerImageCaption);
+    }
+
+    // Update simple fields
+    const scalarFields = ['title', 'content', 'author', 'status'];
+    scalarFields.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updatedData[field] = req.body[field];
+      }
+    });
+    // A status chosen by an editor is no longer managed by the trending job
+    if (req.body.status !== undefined) updatedData.autoTrending = false;
+
+    let sanitization = null;
+    if (updatedData.content !== undefined) {
+      const sanitized = sanitizeBlogContent(updatedData.content);
+      updatedData.content = sanitized.html;
+      sanitization = sanitized.report;
+      if (hasStrippedContent(sanitization)) {
+        console.warn(`⚠️ Unsafe markup stripped from blog ${id}:`, sanitization);
+      }
+    }
+    Object.assign(updatedData, applyContentStats({
+      content: updatedData.content,
+      excerptInput: req.body.excerpt,
+      existingBlog
+    }));
+
+    // Apply updates
+    const updatedBlog = await Blog.findByIdAndUpdate(
+      id,
+      updatedData,
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedBlog) {
+      throw createHttpError(404, 'Blog not found after update');
+    }
+    invalidateRelatedPostsCache();
+
+    // Keep the previous version now that the update went through (before the image cleanup checks revisions)
+    await createBlogRevision(existingBlog, req.user);
+
+    // Cleanup replaced images (kept while a revision still references them)
+    if (updatedData.courses && Array.isArray(existingBlog.courseImagesData) && existingBlog.courseImagesData.length) {
+      await cleanupCourseImages(existingBlog.courseImagesData);
+    }
+    await deleteUnreferencedImages(replacedPublicIds);
+
+    return res.json({ message: 'Blog updated successfully', blog: updatedBlog, sanitization });
+    
+  } catch (err) {
+    // Files stored by uploadFields belong to this failed update only
+    await cleanupUploadedFiles(req.files);
+    
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ message: err.message });
+    }
+    console.error('Error updating blog:', err);
+    
+    if (err?.code === 11000 && err?.keyPattern?.slug) {
+      return res.status(409).json({ 
+        message: 'A blog with a similar title/slug already exists',
+        error: err.message
+      });
+    }
+    
+    if (err?.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ 
+        message: 'Validation failed', 
+        errors,
+        error: err.message
+      });
+    }
+    
+    return res.status(500).json({ 
+      message: 'Error updating blog', 
+      error: err.message 
+    });
+  }
+});
+
+// ✅ Delete a blog WITH ALL IMAGE CLEANUP INCLUDING COURSES
+// Helper function to delete a blog with its images, revisions, comments and view stats
+const deleteBlogCompletely = async (blog) => {
+  // Delete all images associated with the blog
+  await deleteAllBlogImages(blog);
+  
+  await Blog.findByIdAndDelete(blog._id);
+  await BlogRevision.deleteMany({ blog: blog._id });
+  await Comment.deleteMany({ blog: blog._id });
+  await BlogViewStat.deleteMany({ blog: blog._id });
+  invalidateRelatedPostsCache();
+};
+
+app.delete("/api/blogs/:id", authenticateToken, requireBlogOwnership(), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid Blog ID format" });
+    }
+    
+    const blogToDelete = await Blog.findById(req.params.id);
+    if (!blogToDelete)
+      return res.status(404).json({ message: "Blog not found" });
+    
+    await deleteBlogCompletely(blogToDelete);
+    console.log("✅ Blog and all associated images deleted successfully");
+    
+    res.json({ message: "Blog and associated images deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting blog:", err);
+    res.status(500).json({ message: "Error deleting blog", error: err.message });
+  }
+});
+
+// ================ BULK OPERATIONS ================
+const BULK_ACTIONS = ['setStatus', 'addTags', 'removeTags', 'setCategory', 'reassignAuthor', 'delete'];
+const BULK_MAX_ITEMS = parseInt(process.env.BULK_MAX_ITEMS) || 500;
+
+// Only a 24-character hex string is an ID here; isValid() also accepts any 12-character string
+const isObjectIdString = (value) => typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value);
+
+// Blog filter criteria (request key -> blog field) shared by bulk actions and export
+const BLOG_FILTER_FIELDS = {
+  category: 'category',
+  tag: 'tags',
+  author: 'author',
+  authorId: 'authorId',
+  status: 'status',
+  publicationStatus: 'publicationStatus'
+};
+
+// Helper function to turn filter criteria into a blog query
+// Every value must be a plain string, so a JSON body or query string cannot smuggle in
+// operators like {"$ne": null}. Returns { query, error }; the query may be empty.
+const parseBlogFilter = (filter) => {
+  const query = {};
+  if (!filter || typeof filter !== 'object') return { query, error: null };
+  
+  for (const [key, field] of Object.entries(BLOG_FILTER_FIELDS)) {
+    const value = filter[key];
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') {
+      return { query: null, error: `Filter '${key}' must be a string` };
+    }
+    query[field] = value;
+  }
+  
+  if (query.authorId && !isObjectIdString(query.authorId)) {
+    return { query: null, error: "Filter 'authorId' must be a valid user ID" };
+  }
+  const statuses = Blog.schema.path('status').enumValues;
+  if (query.status && !statuses.includes(query.status)) {
+    return { query: null, error: `Filter 'status' must be one of: ${statuses.join(', ')}` };
+  }
+  if (query.publicationStatus && !PUBLICATION_STATUSES.includes(query.publicationStatus)) {
+    return { query: null, error: `Filter 'publicationStatus' must be one of: ${PUBLICATION_STATUSES.join(', ')}` };
+  }
+  return { query, error: null };
+};
+
+// Helper function to turn bulk `ids` or `filter` into a blog query
+// A filter must name at least one criterion so "everything" is never selected by accident.
+const buildBulkQuery = ({ ids, filter }) => {
+  if (Array.isArray(ids) && ids.length > 0) {
+    const invalid = ids.filter(id => !isObjectIdString(id));
+    if (invalid.length > 0) {
+      return { query: null, error: `Invalid blog ID(s): ${invalid.map(id => JSON.stringify(id)).join(', ')}` };
+    }
+    return { query: { _id: { $in: ids } }, error: null };
+  }
+  
+  const { query, error } = parseBlogFilter(filter);
+  if (error) return { query: null, error };
+  if (Object.keys(query).length === 0) {
+    return { query: null, error: "Provide a non-empty 'ids' array or a 'filter' with category, tag, author, status or publicationStatus" };
+  }
+  return { query, error: null };
+};
+
+// Helper function to validate the action parameters once for the whole batch
+// Returns { context, error }.
+const prepareBulkAction = async (action, params = {}) => {
+  switch (action) {
+    case 'setStatus': {
+      const statuses = Blog.schema.path('status').enumValues;
+      if (!statuses.includes(params.status)) {
+        return { context: null, error: `Status must be one of: ${statuses.join(', ')}` };
+      }
+      return { context: { status: params.status }, error: null };
+    }
+    case 'addTags':
+    case 'removeTags': {
+      const tags = processTags(params.tags);
+      if (tags.length === 0) return { context: null, error: "At least one tag is required" };
+      return { context: { tags }, error: null };
+    }
+    case 'setCategory': {
+      const { data, error } = await resolveBlogCategories(params, { partial: true });
+      if (error) return { context: null, error };
+      if (Object.keys(data).length === 0) return { context: null, error: "A category or subcategory is required" };
+      return { context: data, error: null };
+    }
+    case 'reassignAuthor': {
+      if (!mongoose.Types.ObjectId.isValid(params.userId)) {
+        return { context: null, error: "A valid 'userId' is required" };
+      }
+      const user = await User.findById(params.userId).select('username isActive');
+      if (!user || !user.isActive) return { context: null, error: "Target user not found or inactive" };
+      return { context: { authorId: user._id, author: user.username }, error: null };
+    }
+    case 'delete':
+      return { context: {}, error: null };
+    default:
+      return { context: null, error: `Action must be one of: ${BULK_ACTIONS.join(', ')}` };
+  }
+};
+
+// Helper function to work out the update for one blog
+// Returns { update, changes, error }; `update` is null when nothing would change.
+const planBulkChange = (blog, action, context) => {
+  const changes = {};
+  const track = (field, to) => {
+    const from = blog[field];
+    const same = Array.isArray(to)
+      ? JSON.stringify(from || []) === JSON.stringify(to)
+      : String(from ?? '') === String(to ?? '');
+    if (!same) changes[field] = { from, to };
+  };
+  
+  switch (action) {
+    case 'setStatus':
+      track('status', context.status);
+      break;
+    case 'addTags': {
+      const tags = [...new Set([...(blog.tags || []), ...context.tags])];
+      if (tags.length > 10) {
+        return { update: null, changes, error: `Would have ${tags.length} tags (max 10)` };
+      }
+      track('tags', tags);
+      break;
+    }
+    case 'removeTags':
+      track('tags', (blog.tags || []).filter(tag => !context.tags.includes(tag)));
+      break;
+    case 'setCategory':
+    case 'reassignAuthor':
+      Object.entries(context).forEach(([field, value]) => track(field, value));
+      break;
+  }
+  
+  if (Object.keys(changes).length === 0) return { update: null, changes, error: null };
+  const update = Object.fromEntries(Object.entries(changes).map(([field, { to }]) => [field, to]));
+  if (action === 'setStatus') update.autoTrending = false;
+  return { update, changes, error: null };
+};
+
+// Apply one action to many blogs (Admin/SuperAdmin only)
+// Body: { ids | filter, action, params, dryRun }. Every post gets its own result entry.
+app.post("/api/blogs/bulk", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { action, params, ids } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    
+    const { query, error: queryError } = buildBulkQuery(req.body);
+    if (queryError) return res.status(400).json({ message: queryError });
+    
+    const { context, error: actionError } = await prepareBulkAction(action, params);
+    if (actionError) return res.status(400).json({ message: actionError });
+    
+    const matched = await Blog.countDocuments(query);
+    if (matched > BULK_MAX_ITEMS) {
+      return res.status(400).json({ 
+        message: `This selection matches ${matched} posts; narrow it to at most ${BULK_MAX_ITEMS}` 
+      });
+    }
+    
+    // Full documents: revisions taken before each change need the content too
+    const blogs = await Blog.find(query).sort({ createdAt: -1 });
+    const results = [];
+    
+    // Requested IDs that no longer exist are reported too
+    if (Array.isArray(ids)) {
+      const found = new Set(blogs.map(blog => blog._id.toString()));
+      ids.filter(id => !found.has(id.toString())).forEach(id => {
+        results.push({ id, result: 'failed', error: 'Blog not found' });
+      });
+    }
+    
+    for (const blog of blogs) {
+      const item = { id: blog._id, title: blog.title, slug: blog.slug };
+      try {
+        if (action === 'delete') {
+          if (!dryRun) await deleteBlogCompletely(blog);
+          results.push({ ...item, result: dryRun ? 'would-delete' : 'deleted' });
+          continue;
+        }
+        
+        const { update, changes, error } = planBulkChange(blog, action, context);
+        if (error) {
+          results.push({ ...item, result: 'failed', error });
+          continue;
+        }
+        if (!update) {
+          results.push({ ...item, result: 'unchanged' });
+          continue;
+        }
+        if (!dryRun) {
+          await Blog.updateOne({ _id: blog._id }, { $set: update }, { runValidators: true });
+          await createBlogRevision(blog, req.user);
+        }
+        results.push({ ...item, result: dryRun ? 'would-update' : 'updated', changes });
+      } catch (err) {
+        console.error(`Bulk ${action} failed for blog ${blog._id}:`, err);
+        results.push({ ...item, result: 'failed', error: err.message });
+      }
+    }
+    
+    const summary = results.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1;
+      return counts;
+    }, {});
+    if (!dryRun && (summary.updated || summary.deleted)) invalidateRelatedPostsCache();
+    
+    console.log(`📦 Bulk ${action}${dryRun ? ' (dry run)' : ''} by ${req.user.username}:`, summary);
+    res.json({ action, dryRun, matched, summary, results });
+  } catch (err) {
+    console.error("Error running bulk operation:", err);
+    res.status(500).json({ 
+      message: "Error running bulk operation", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// ================ EXPORT / IMPORT ENDPOINTS ================
+// Records carry image URLs only; storage public IDs stay behind so an import into another
+// database never deletes the source environment's files.
+const EXPORT_FIELDS = [
+  'title', 'slug', 'excerpt', 'customExcerpt', 'category', 'subcategory', 'author',
+  'status', 'publicationStatus', 'publishAt', 'publishedAt', 'tags',
+  'image', 'imageMeta', 'bannerImage', 'bannerImageMeta', 'seo', 'courses',
+  'createdAt', 'updatedAt', 'content'
+];
+const IMPORT_CONFLICT_MODES = ['skip', 'rename', 'overwrite'];
+const IMPORT_MAX_RECORDS = parseInt(process.env.IMPORT_MAX_RECORDS) || 1000;
+// Unzipped size limits for Markdown archives, checked against the zip headers before
+// anything is inflated (adm-zip never inflates past the declared size)
+const IMPORT_MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_UNZIPPED_BYTES = 100 * 1024 * 1024;
+
+const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+}).single('file');
+
+// Helper function to turn a blog into a portable export record
+const toExportRecord = (blog) => {
+  const record = {};
+  EXPORT_FIELDS.forEach(field => {
+    if (blog[field] !== undefined && blog[field] !== null) record[field] = blog[field];
+  });
+  record.courses = (blog.courses || []).map(course => ({
+    name: course.name,
+    description: course.description,
+    courseUrl: course.courseUrl,
+    courseImage: course.courseImage || null,
+    courseImageMeta: course.courseImageMeta || null
+  }));
+  return record;
+};
+
+// Helper function to write a record as Markdown with front matter
+// Every front-matter value is JSON (valid YAML), the body is the post HTML.
+const renderMarkdownRecord = (record) => {
+  const { content, ...meta } = record;
+  const frontMatter = Object.entries(meta).map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return ['---', ...frontMatter, '---', '', content || '', ''].join('\n');
+};
+
+// Helper function to read a Markdown file back into a record
+// Plain (non-JSON) scalars are accepted too, so hand-edited files still import.
+const parseMarkdownRecord = (text) => {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/.exec(text);
+  if (!match) throw new Error('Missing front matter');
+  
+  const record = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator === -1 || !line.trim()) return;
+    const key = line.slice(0, separator).trim();
+    const rawValue = line.slice(separator + 1).trim();
+    try {
+      record[key] = JSON.parse(rawValue);
+    } catch (error) {
+      record[key] = rawValue.replace(/^(['"])(.*)\1$/, '$2');
+    }
+  });
+  record.content = match[2].trim();
+  return record;
+};
+
+// Helper function to split an uploaded import file into numbered records
+// NDJSON: one record per line; .zip: one record per Markdown entry.
+const readImportRecords = (file) => {
+  const isZip = /\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype);
+  if (isZip) {
+    const zip = new AdmZip(file.buffer);
+    const entries = zip.getEntries().filter(entry => !entry.isDirectory && /\.md$/i.test(entry.entryName));
+    if (entries.length > IMPORT_MAX_RECORDS) {
+      throw new Error(`archive has ${entries.length} records (max ${IMPORT_MAX_RECORDS})`);
+    }
+    let totalBytes = 0;
+    for (const entry of entries) {
+      if (entry.header.size > IMPORT_MAX_ENTRY_BYTES) {
+        throw new Error(`${entry.entryName} unpacks to ${entry.header.size} bytes (max ${IMPORT_MAX_ENTRY_BYTES})`);
+      }
+      totalBytes += entry.header.size;
+      if (totalBytes > IMPORT_MAX_UNZIPPED_BYTES) {
+        throw new Error(`archive unpacks to more than ${IMPORT_MAX_UNZIPPED_BYTES} bytes`);
+      }
+    }
+    return entries
+      .map(entry => {
+        try {
+          return { line: entry.entryName, record: parseMarkdownRecord(entry.getData().toString('utf8')) };
+        } catch (error) {
+          return { line: entry.entryName, error: error.message };
+        }
+      });
+  }
+  
+  return file.buffer.toString('utf8')
+    .split(/\r?\n/)
+    .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+    .filter(({ text }) => text)
+    .map(({ text, line }) => {
+      try {
+        return { line, record: JSON.parse(text) };
+      } catch (error) {
+        return { line, error: `Invalid JSON: ${error.message}` };
+      }
+    });
+};
+
+// Helper function to carry over an imported post's publication state
+// Unlike resolvePublicationState, past dates are kept as they are.
+const importPublicationState = (record) => {
+  const publicationStatus = record.publicationStatus || 'draft';
+  if (!PUBLICATION_STATUSES.includes(publicationStatus)) {
+    return { data: null, error: `Publication status must be one of: ${PUBLICATION_STATUSES.join(', ')}` };
+  }
+  const toDate = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  };
+  
+  if (publicationStatus === 'scheduled') {
+    const publishAt = toDate(record.publishAt);
+    if (!publishAt) return { data: null, error: 'A valid publishAt date is required for scheduled posts' };
+    return { data: { publicationStatus, publishAt }, error: null };
+  }
+  return {
+    data: {
+      publicationStatus,
+      publishAt: null,
+      publishedAt: publicationStatus === 'published' ? (toDate(record.publishedAt) || new Date()) : toDate(record.publishedAt)
+    },
+    error: null
+  };
+};
+
+// Helper function to carry stored images over when an overwrite keeps their URLs
+// Export records only hold URLs, so without this the post would lose its public IDs
+// (and with them the cleanup of its files) on every re-import.
+const keepUnchangedImageRefs = (data, existing) => {
+  [
+    ['image', 'imagePublicId', 'imageMeta'],
+    ['bannerImage', 'bannerImagePublicId', 'bannerImageMeta']
+  ].forEach(([urlField, publicIdField, metaField]) => {
+    if (data[publicIdField] || !data[urlField] || data[urlField] !== existing[urlField]) return;
+    data[publicIdField] = existing[publicIdField] || null;
+    data[metaField] = data[metaField] || toPlainImageMeta(existing[metaField]);
+  });
+  
+  data.courses.forEach(course => {
+    const previous = (existing.courses || []).find(c => c.courseImage && c.courseImage === course.courseImage);
+    if (!previous || course.courseImagePublicId) return;
+    course.courseImagePublicId = previous.courseImagePublicId || null;
+    course.courseImageMeta = course.courseImageMeta || toPlainImageMeta(previous.courseImageMeta);
+  });
+  data.courseImagesData = (existing.courseImagesData || [])
+    .map(image => ({
+      fieldIndex: data.courses.findIndex(course => course.courseImagePublicId === image.publicId),
+      publicId: image.publicId,
+      url: image.url
+    }))
+    .filter(image => image.fieldIndex !== -1);
+};
+
+// Helper function to import one record; returns its report entry
+// `trustPublicIds` is only set by importers that stored the images themselves.
+async function importBlogRecord(record, { onConflict, dryRun, user, trustPublicIds = false }) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { result: 'failed', error: 'Record must be a JSON object' };
+  }
+  const slug = generateSlug(record.slug || record.title || '');
+  if (!slug) return { slug: null, result: 'failed', error: 'Record needs a title or slug' };
+  
+  const notes = [];
+  
+  // Categories move between environments, so missing ones are created; subcategories must exist
+  let category = await findCategory(record.category);
+  if (!category && record.category) {
+    if (dryRun) {
+      category = { _id: new mongoose.Types.ObjectId(), name: record.category.toString().trim() };
+    } else {
+      category = await createCategoryFromName(record.category);
+    }
+    notes.push(`category "${category.name}" ${dryRun ? 'would be' : 'was'} created`);
+  }
+  if (!category) return { slug, result: 'failed', error: 'Record has no category' };
+  
+  const subcategory = await findSubcategory(record.subcategory);
+  if (!subcategory) return { slug, result: 'failed', error: `Unknown subcategory "${record.subcategory || ''}"` };
+  
+  const publication = importPublicationState(record);
+  if (publication.error) return { slug, result: 'failed', error: publication.error };
+  
+  const seoInput = parseSeoInput(record.seo);
+  if (seoInput.error) return { slug, result: 'failed', error: seoInput.error };
+  
+  const author = record.author
+    ? await User.findOne({ username: record.author }).collation({ locale: 'en', strength: 2 }).select('username')
+    : null;
+  if (record.author && !author) notes.push(`author "${record.author}" not found; assigned to ${user.username}`);
+  
+  const sanitized = sanitizeBlogContent(record.content);
+  if (hasStrippedContent(sanitized.report)) notes.push('unsafe markup was stripped from content');
+  
+  const data = {
+    title: record.title,
+    slug,
+    content: sanitized.html,
+    ...applyContentStats({ content: sanitized.html, excerptInput: record.customExcerpt ? record.excerpt : '' }),
+    category: category.name,
+    categoryId: category._id,
+    subcategory: subcategory.name,
+    author: author ? author.username : user.username,
+    authorId: author ? author._id : user.id,
+    status: record.status || 'None',
+    tags: processTags(record.tags),
+    image: record.image || null,
+    imagePublicId: trustPublicIds ? record.imagePublicId || null : null,
+    imageMeta: record.imageMeta || null,
+    bannerImage: record.bannerImage || null,
+    bannerImagePublicId: trustPublicIds ? record.bannerImagePublicId || null : null,
+    bannerImageMeta: record.bannerImageMeta || null,
+    courses: (Array.isArray(record.courses) ? record.courses : []).map(course => ({
+      name: course.name,
+      description: course.description,
+      courseUrl: course.courseUrl,
+      courseImage: course.courseImage || null,
+      courseImagePublicId: null,
+      courseImageMeta: course.courseImageMeta || null
+    })),
+    courseImagesData: [],
+    ...(seoInput.seo && { seo: seoInput.seo }),
+    ...publication.data
+  };
+  
+  // Only a post currently using the slug can be overwritten; one that merely used it
+  // before (and still redirects from it) is a different post, so the record is renamed
+  const existing = await Blog.findOne({ slug }) || await Blog.findOne({ 'previousSlugs.slug': slug });
+  let outcome = 'created';
+  if (existing) {
+    if (onConflict === 'skip') {
+      return { slug, result: 'skipped', id: existing._id, error: 'Slug already in use' };
+    }
+    if (onConflict === 'rename' || existing.slug !== slug) {
+      data.slug = await findUniqueSlug(slug, Blog);
+      outcome = 'renamed';
+      notes.push(existing.slug === slug
+        ? `slug "${slug}" renamed to "${data.slug}"`
+        : `slug "${slug}" is an old URL of "${existing.slug}"; renamed to "${data.slug}"`);
+    } else {
+      outcome = 'overwritten';
+      keepUnchangedImageRefs(data, existing);
+    }
+  }
+  
+  // Validate against blogSchema before touching the database
+  const candidate = new Blog(outcome === 'overwritten' ? { ...data, _id: existing._id } : data);
+  try {
+    await candidate.validate();
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      return { slug: data.slug, result: 'failed', errors: Object.values(err.errors).map(e => e.message) };
+    }
+    throw err;
+  }
+  
+  if (!dryRun) {
+    if (outcome === 'overwritten') {
+      const previousPublicIds = getBlogImagePublicIds(existing);
+      const previous = existing.toObject();
+      existing.set(data);
+      await existing.save();
+      await createBlogRevision(previous, user);
+      // Same as an edit: replaced images go once nothing (revisions included) uses them
+      const keptPublicIds = new Set(getBlogImagePublicIds(existing));
+      await deleteUnreferencedImages(previousPublicIds.filter(publicId => !keptPublicIds.has(publicId)));
+    } else {
+      await candidate.save();
+    }
+  }
+  
+  return {
+    slug: data.slug,
+    result: dryRun ? `would-${outcome === 'created' ? 'create' : outcome === 'renamed' ? 'rename' : 'overwrite'}` : outcome,
+    id: outcome === 'overwritten' ? existing._id : candidate._id,
+    ...(notes.length > 0 && { notes })
+  };
+}
+
+// Export posts (Admin/SuperAdmin only)
+// Query: format=ndjson|markdown, ids=a,b or category/tag/publicationStatus filters (all posts by default)
+app.get("/api/export/blogs", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { format = 'ndjson', ids, category, tag, publicationStatus } = req.query;
+    if (!['ndjson', 'markdown'].includes(format)) {
+      return res.status(400).json({ message: "Format must be 'ndjson' or 'markdown'" });
+    }
+    
+    const { query, error } = parseBlogFilter({ category, tag, publicationStatus });
+    if (error) return res.status(400).json({ message: error });
+    if (ids) {
+      if (typeof ids !== 'string') {
+        return res.status(400).json({ message: "ids must be a comma-separated list" });
+      }
+      const idList = ids.split(',').map(id => id.trim()).filter(Boolean);
+      if (idList.some(id => !isObjectIdString(id))) {
+        return res.status(400).json({ message: "Invalid Blog ID format" });
+      }
+      query._id = { $in: idList };
+    }
+    
+    const stamp = new Date().toISOString().slice(0, 10);
+    const cursor = Blog.find(query).sort({ createdAt: 1 }).lean().cursor();
+    
+    if (format === 'ndjson') {
+      res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="blogs-${stamp}.ndjson"`);
+      let count = 0;
+      for await (const blog of cursor) {
+        res.write(`${JSON.stringify(toExportRecord(blog))}\n`);
+        count++;
+      }
+      console.log(`📤 ${req.user.username} exported ${count} blog(s) as NDJSON`);
+      return res.end();
+    }
+    
+    const zip = new AdmZip();
+    let count = 0;
+    for await (const blog of cursor) {
+      zip.addFile(`posts/${blog.slug}.md`, Buffer.from(renderMarkdownRecord(toExportRecord(blog)), 'utf8'));
+      count++;
+    }
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify({
+      exportedAt: new Date(),
+      exportedBy: req.user.username,
+      format: 'markdown',
+      count
+    }, null, 2), 'utf8'));
+    
+    console.log(`📤 ${req.user.username} exported ${count} blog(s) as Markdown`);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="blogs-${stamp}-markdown.zip"`);
+    res.send(zip.toBuffer());
+  } catch (err) {
+    console.error("Error exporting blogs:", err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ message: "Error exporting blogs", error: err.message });
+  }
+});
+
+// Import posts from an NDJSON file or Markdown zip (Admin/SuperAdmin only)
+// Multipart field 'file'; body: onConflict=skip|rename|overwrite (default skip), dryRun
+app.post("/api/import/blogs", authenticateToken, requireRole(['admin', 'superadmin']), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "An NDJSON or Markdown zip file is required in the 'file' field" });
+    }
+    
+    const onConflict = req.body.onConflict || 'skip';
+    if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({ message: `onConflict must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}` });
+    }
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
     
-    if (existingUser) {
-      return res.status(409).json({ 
-        message: "User with that username or email already exists" 
-      });
+    let entries;
+    try {
+      entries = readImportRecords(req.file);
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read import file: ${error.message}` });
+    }
+    if (entries.length === 0) {
+      return res.status(400).json({ message: "Import file contains no records" });
+    }
+    if (entries.length > IMPORT_MAX_RECORDS) {
+      return res.status(400).json({ message: `Import file has ${entries.length} records (max ${IMPORT_MAX_RECORDS})` });
     }
     
-    const user = new User({ username, email, password, role });
-    await user.save();
+    const report = [];
+    for (const entry of entries) {
+      if (entry.error) {
+        report.push({ line: entry.line, result: 'failed', error: entry.error });
+        continue;
+      }
+      try {
+        const result = await importBlogRecord(entry.record, { onConflict, dryRun, user: req.user });
+        report.push({ line: entry.line, ...result });
+      } catch (err) {
+        console.error(`Import of record ${entry.line} failed:`, err);
+        report.push({ line: entry.line, result: 'failed', error: err.message });
+      }
+    }
     
-    res.status(201).json({ 
-      message: "User registered successfully!", 
-      user: user.profile 
-    });
+    const summary = report.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1;
+      return counts;
+    }, {});
+    if (!dryRun) invalidateRelatedPostsCache();
+    
+    console.log(`📥 Import${dryRun ? ' (dry run)' : ''} by ${req.user.username}:`, summary);
+    res.json({ dryRun, onConflict, total: entries.length, summary, report });
   } catch (err) {
-    console.error("Registration Error:", err);
+    console.error("Error importing blogs:", err);
+    res.status(500).json({ 
+      message: "Error importing blogs", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// ✅ WordPress (WXR) import
+// Remote images are only fetched from hosts listed in WXR_IMAGE_HOSTS or passed by the
+// admin as `imageHosts` - never from hosts named in the uploaded file itself. Requests
+// go straight to the host (no redirects) and never to private or loopback addresses.
+const WXR_IMAGE_HOSTS = parseListEnv(process.env.WXR_IMAGE_HOSTS, []).map(host => host.toLowerCase());
+const WXR_IMAGE_MAX_BYTES = 5 * 1024 * 1024; // same limit as regular uploads
+const WXR_STATUS_MAP = { publish: 'published', future: 'scheduled', draft: 'draft', pending: 'draft', private: 'unpublished' };
+
+// Address ranges a re-hosting request may not reach (internal services, cloud metadata)
+// IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup that refuses private answers; checked at connect time, so a host cannot
+// pass a first lookup and then re-resolve to an internal address
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const answers = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = answers.find(answer => isPrivateAddress(answer.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to fetch from private address ${blocked.address} (${hostname})`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const remoteImageAgents = {
+  httpAgent: new http.Agent({ lookup: publicOnlyLookup }),
+  httpsAgent: new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// Helper function to read the admin-supplied `imageHosts` (array or comma list of hostnames)
+const parseImageHostsInput = (input) => {
+  if (input === undefined || input === null || input === '') return { hosts: [], error: null };
+  const list = Array.isArray(input) ? input : input.toString().split(',');
+  const hosts = list.map(host => host.toString().trim().toLowerCase()).filter(Boolean);
+  const invalid = hosts.filter(host => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host));
+  if (invalid.length > 0) {
+    return { hosts: null, error: `imageHosts must be plain host names (invalid: ${invalid.join(', ')})` };
+  }
+  return { hosts, error: null };
+};
+
+const wxrParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  isArray: (name) => ['item', 'category', 'wp:postmeta'].includes(name)
+});
+
+// Helper function to read a WXR node as trimmed text
+const wxrText = (value) => {
+  if (value === undefined || value === null) return '';
+  return (typeof value === 'object' ? value['#text'] ?? '' : value).toString().trim();
+};
+
+// Helper function to parse WordPress dates ("2020-01-02 03:04:05", GMT); drafts use zeros
+const parseWxrDate = (value) => {
+  const text = wxrText(value);
+  if (!text || text.startsWith('0000')) return null;
+  const date = new Date(`${text.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to wrap classic-editor text in paragraphs (WordPress adds them on render)
+const wpAutoParagraph = (content) => {
+  if (/<(p|div|h[1-6]|ul|ol|table|blockquote|pre|figure)\b/i.test(content)) return content;
+  return content
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => `<p>${block.replace(/\n/g, '<br />')}</p>`)
+    .join('\n');
+};
+
+// Helper function to parse a WXR file into posts and attachment URLs
+const parseWxr = (xml) => {
+  const channel = wxrParser.parse(xml)?.rss?.channel;
+  if (!channel) throw new Error('Not a WordPress export (missing rss/channel)');
+
+  const items = channel.item || [];
+  const attachments = new Map(
+    items
+      .filter(item => wxrText(item['wp:post_type']) === 'attachment')
+      .map(item => [wxrText(item['wp:post_id']), wxrText(item['wp:attachment_url'])])
+  );
+
+  const posts = items
+    .filter(item => wxrText(item['wp:post_type']) === 'post')
+    .map(item => {
+      const categories = item.category || [];
+      const meta = item['wp:postmeta'] || [];
+      const thumbnail = meta.find(entry => wxrText(entry['wp:meta_key']) === '_thumbnail_id');
+      return {
+        postId: wxrText(item['wp:post_id']),
+        title: wxrText(item.title),
+        slug: wxrText(item['wp:post_name']),
+        content: wxrText(item['content:encoded']),
+        excerpt: wxrText(item['excerpt:encoded']),
+        creator: wxrText(item['dc:creator']),
+        status: wxrText(item['wp:status']),
+        date: parseWxrDate(item['wp:post_date_gmt']),
+        categories: categories.filter(c => c['@_domain'] === 'category').map(wxrText).filter(Boolean),
+        tags: categories.filter(c => c['@_domain'] === 'post_tag').map(wxrText).filter(Boolean),
+        thumbnailId: thumbnail ? wxrText(thumbnail['wp:meta_value']) : null
+      };
+    });
+
+  return { title: wxrText(channel.title), posts, attachments };
+};
+
+// Helper function to map a WordPress post onto an import record (see importBlogRecord)
+const wxrPostToRecord = (post, { subcategory, attachments }) => {
+  const publicationStatus = WXR_STATUS_MAP[post.status] || 'draft';
+  return {
+    title: post.title,
+    slug: post.slug || post.title,
+    content: wpAutoParagraph(post.content),
+    excerpt: post.excerpt,
+    customExcerpt: Boolean(post.excerpt),
+    category: post.categories[0],
+    subcategory,
+    author: post.creator,
+    status: 'None',
+    tags: processTags(post.tags),
+    publicationStatus,
+    publishedAt: publicationStatus === 'published' ? post.date : null,
+    publishAt: publicationStatus === 'scheduled' ? post.date : null,
+    image: (post.thumbnailId && attachments.get(post.thumbnailId)) || null
+  };
+};
+
+// Helper function to download a remote image into the current upload storage
+// Only the bytes decide whether it is an image; the remote Content-Type is not trusted.
+const rehostRemoteImage = async (url, user, source) => {
+  const { hostname } = new URL(url);
+  const literalAddress = hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(literalAddress) && isPrivateAddress(literalAddress)) {
+    throw new Error(`Refusing to fetch from private address ${literalAddress}`);
+  }
+
+  const response = await axios.get(url, {
+    ...remoteImageAgents,
+    responseType: 'arraybuffer',
+    timeout: 15000,
+    maxContentLength: WXR_IMAGE_MAX_BYTES,
+    maxRedirects: 0,
+    proxy: false
+  });
+  const buffer = Buffer.from(response.data);
+  const format = await detectImageFormat(buffer);
+  if (!format) {
+    const mimeType = (response.headers['content-type'] || '').split(';')[0].trim();
+    throw new Error(`Not a supported image (${mimeType || 'unknown type'})`);
+  }
+
+  const originalName = decodeURIComponent(path.posix.basename(new URL(url).pathname)) || 'image';
+  const file = await mediaStorage.storeBuffer(buffer, originalName);
+  file.mimetype = Object.keys(UPLOAD_IMAGE_TYPES).find(type => UPLOAD_IMAGE_TYPES[type].includes(`.${format}`));
+  file.imageMeta = await describeUploadedImage(file);
+  await registerMedia(file, user, source);
+  return { url: file.path, publicId: file.filename, meta: file.imageMeta };
+};
+
+// Helper function to re-host a record's featured and inline images
+// Inline images are registered as library media, since only image fields count as blog
+// references and the orphan cleanup would otherwise treat them as unused.
+// `cache` maps remote URL -> stored image so shared images are fetched once per import;
+// `used` collects remote URL -> public ID for the images this record now points at.
+async function rehostWxrImages(record, { user, hosts, cache, used }) {
+  const report = { rehosted: 0, failed: [] };
+  const isAllowed = (url) => {
+    try {
+      const { protocol, hostname } = new URL(url);
+      return ['http:', 'https:'].includes(protocol) && hosts.has(hostname);
+    } catch (error) {
+      return false;
+    }
+  };
+  const rehost = async (url, source) => {
+    if (!cache.has(url)) {
+      cache.set(url, rehostRemoteImage(url, user, source).catch(error => ({ error: error.message })));
+    }
+    const stored = await cache.get(url);
+    if (stored.error) {
+      report.failed.push({ url, error: stored.error });
+      return null;
+    }
+    report.rehosted++;
+    used.set(url, stored.publicId);
+    return stored;
+  };
+
+  if (record.image && isAllowed(record.image)) {
+    const stored = await rehost(record.image, 'blog');
+    if (stored) {
+      record.image = stored.url;
+      record.imagePublicId = stored.publicId;
+      record.imageMeta = stored.meta;
+    }
+  }
+
+  const inlineUrls = [...new Set(
+    [...record.content.matchAll(/<img\b[^>]*?\ssrc=["']([^"']+)["']/gi)].map(match => match[1])
+  )].filter(isAllowed);
+  for (const url of inlineUrls) {
+    const stored = await rehost(url, 'library');
+    if (stored) record.content = record.content.split(url).join(stored.url);
+  }
+  // WordPress srcset/sizes point at its own resized copies
+  record.content = record.content.replace(/<img\b[^>]*>/gi, tag => tag.replace(/\s(srcset|sizes)=("[^"]*"|'[^']*')/gi, ''));
+
+  return report;
+}
+
+// Import posts from a WordPress WXR export (Admin/SuperAdmin only)
+// Multipart field 'file'; body: onConflict=skip|rename|overwrite (default skip),
+// subcategory (default "Article"), rehostImages (default true), imageHosts (hosts to
+// fetch images from besides WXR_IMAGE_HOSTS, e.g. "blog.example.com"), dryRun
+app.post("/api/import/wordpress", authenticateToken, requireRole(['admin', 'superadmin']), uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "A WordPress WXR (.xml) file is required in the 'file' field" });
+    }
     
-    if (err.name === 'ValidationError') {
-      const errors = Object.values(err.errors).map(e => e.message);
-      return res.status(400).json({ 
-        message: "Validation failed", 
-        errors 
-      });
+    const onConflict = req.body.onConflict || 'skip';
+    if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+      return res.status(400).json({ message: `onConflict must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}` });
+    }
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+    const rehostImages = req.body.rehostImages !== false && req.body.rehostImages !== 'false';
+    const imageHosts = parseImageHostsInput(req.body.imageHosts);
+    if (imageHosts.error) {
+      return res.status(400).json({ message: imageHosts.error });
+    }
+    
+    const subcategory = await findSubcategory(req.body.subcategory || 'Article');
+    if (!subcategory) {
+      return res.status(400).json({ message: `Unknown subcategory "${req.body.subcategory}"` });
+    }
+    
+    let wxr;
+    try {
+      wxr = parseWxr(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ message: `Could not read WXR file: ${error.message}` });
+    }
+    if (wxr.posts.length === 0) {
+      return res.status(400).json({ message: "WXR file contains no posts" });
+    }
+    if (wxr.posts.length > IMPORT_MAX_RECORDS) {
+      return res.status(400).json({ message: `WXR file has ${wxr.posts.length} posts (max ${IMPORT_MAX_RECORDS})` });
+    }
+    
+    const hosts = new Set([...WXR_IMAGE_HOSTS, ...imageHosts.hosts]);
+    const imageCache = new Map();
+    const importedPublicIds = new Set();
+    // Images re-hosted for a post that did not import go again, unless an imported post shares them
+    const releaseImages = async (used) => {
+      for (const [url, publicId] of used) {
+        if (importedPublicIds.has(publicId)) continue;
+        imageCache.delete(url);
+        await deleteStoredImage(publicId);
+      }
+    };
+    const report = [];
+    for (const post of wxr.posts) {
+      const entry = { line: `post ${post.postId}`, wpPostId: post.postId, title: post.title };
+      const usedImages = new Map();
+      try {
+        if (!WXR_STATUS_MAP[post.status]) {
+          report.push({ ...entry, result: 'skipped', error: `WordPress status "${post.status}" is not imported` });
+          continue;
+        }
+        
+        const record = wxrPostToRecord(post, { subcategory: subcategory.name, attachments: wxr.attachments });
+        const notes = post.categories.length > 1
+          ? [`only the first category was kept (${post.categories.slice(1).join(', ')} dropped)`]
+          : [];
+        
+        // Don't fetch images for posts that would be skipped anyway
+        const slug = generateSlug(record.slug || '');
+        if (onConflict === 'skip' && slug && await Blog.exists({ $or: [{ slug }, { 'previousSlugs.slug': slug }] })) {
+          report.push({ ...entry, slug, result: 'skipped', error: 'Slug already in use' });
+          continue;
+        }
+        
+        let images;
+        if (rehostImages && !dryRun) {
+          images = await rehostWxrImages(record, { user: req.user, hosts, cache: imageCache, used: usedImages });
+        }
+        
+        const result = await importBlogRecord(record, { onConflict, dryRun, user: req.user, trustPublicIds: true });
+        if (['failed', 'skipped'].includes(result.result)) {
+          await releaseImages(usedImages);
+        } else {
+          usedImages.forEach(publicId => importedPublicIds.add(publicId));
+        }
+        const allNotes = [...notes, ...(result.notes || [])];
+        report.push({
+          ...entry,
+          ...result,
+          ...(images && { images }),
+          ...(allNotes.length > 0 && { notes: allNotes })
+        });
+      } catch (err) {
+        console.error(`WordPress import of post ${post.postId} failed:`, err);
+        await releaseImages(usedImages);
+        report.push({ ...entry, result: 'failed', error: err.message });
+      }
     }
     
+    const summary = report.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1;
+      return counts;
+    }, {});
+    if (!dryRun) invalidateRelatedPostsCache();
+    
+    console.log(`📥 WordPress import${dryRun ? ' (dry run)' : ''} of "${wxr.title}" by ${req.user.username}:`, summary);
+    res.json({ site: wxr.title, dryRun, onConflict, total: wxr.posts.length, summary, report });
+  } catch (err) {
+    console.error("Error importing WordPress export:", err);
     res.status(500).json({ 
-      message: "Error registering user", 
-      error: err.message 
+      message: "Error importing WordPress export", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
     });
   }
 });
 
-// Login User
-app.post("/api/auth/login", async (req, res) => {
+// ================ VIEW STATS ENDPOINTS ================
+// Daily view counts of one post (author or Admin/SuperAdmin)
+app.get("/api/blogs/:id/views", authenticateToken, requireBlogOwnership(), async (req, res) => {
   try {
-    const { loginIdentifier, password } = req.body;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = startOfUtcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
     
-    if (!loginIdentifier || !password) {
-      return res.status(400).json({ 
-        message: "Login identifier and password are required" 
-      });
-    }
+    const [blog, stats] = await Promise.all([
+      Blog.findById(req.params.id).select('viewCount').lean(),
+      BlogViewStat.find({ blog: req.params.id, date: { $gte: since } }).sort({ date: 1 }).lean()
+    ]);
     
-    const user = await User.findOne({
-      $or: [{ username: loginIdentifier }, { email: loginIdentifier }],
-      isActive: true
-    }).select('+password');
+    res.json({
+      totalViews: blog.viewCount || 0,
+      periodViews: stats.reduce((sum, stat) => sum + stat.views, 0),
+      days,
+      daily: stats.map(stat => ({ date: stat.date.toISOString().slice(0, 10), views: stat.views }))
+    });
+  } catch (err) {
+    console.error("Error fetching blog views:", err);
+    res.status(500).json({ message: "Error fetching blog views", error: err.message });
+  }
+});
+
+// ================ SEO ENDPOINTS ================
+// Resolved meta tags plus ready-to-embed JSON-LD for a published post. Query: ?site=<key>
+app.get("/api/blogs/:idOrSlug/seo", async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const site = resolvePublicSite(req.query.site);
     
-    if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" });
-    }
+    const lookup = mongoose.Types.ObjectId.isValid(idOrSlug)
+      ? { _id: idOrSlug }
+      : { slug: idOrSlug.toLowerCase() };
+    const blog = await Blog.findOne({ ...publicBlogFilter(), ...lookup }).lean();
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
     
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+    const meta = resolveSeoMeta(blog, site);
+    const categoryTrail = await getCategoryTrail(blog.categoryId);
+    const jsonLd = buildPostJsonLd(blog, site, meta, categoryTrail);
+    
+    res.json({ meta, jsonLd, html: renderJsonLdScripts(jsonLd) });
+  } catch (err) {
+    console.error("Error building SEO data:", err);
+    res.status(500).json({ message: "Error building SEO data", error: err.message });
+  }
+});
+
+// ================ RELATED POSTS ENDPOINTS ================
+// "You may also like": the most related published posts for a post ID or slug
+app.get("/api/blogs/:idOrSlug/related", async (req, res) => {
+  try {
+    const { idOrSlug } = req.params;
+    const parsedLimit = Math.min(Math.max(parseInt(req.query.limit) || 4, 1), 20);
+    
+    const lookup = mongoose.Types.ObjectId.isValid(idOrSlug)
+      ? { _id: idOrSlug }
+      : { slug: idOrSlug.toLowerCase() };
+    const blog = await Blog.findOne({ ...publicBlogFilter(), ...lookup })
+      .select('tags category categoryId subcategory courses.name courses.courseUrl')
+      .lean();
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    
+    const blogs = await findRelatedPosts(blog, parsedLimit);
+    res.json({ blogs, total: blogs.length });
+  } catch (err) {
+    console.error("Error fetching related blogs:", err);
+    res.status(500).json({ message: "Error fetching related blogs", error: err.message });
+  }
+});
+
+// ================ COMMENT ENDPOINTS ================
+// Public: approved comments of a published post, as threads
+app.get("/api/blogs/:id/comments", async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid Blog ID format" });
     }
     
-    user.lastLogin = new Date();
-    await user.save();
+    const blog = await Blog.findOne({ ...publicBlogFilter(), _id: req.params.id }).select('_id').lean();
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
     
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        username: user.username, 
-        email: user.email,
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+    const comments = await Comment.find({ blog: blog._id, status: { $in: ['approved', 'deleted'] } })
+      .select('parent guest.name content status createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
     
     res.json({
-      message: "Logged in successfully",
-      token,
-      user: user.profile
+      comments: buildCommentThreads(comments),
+      total: comments.filter(comment => comment.status === 'approved').length
     });
   } catch (err) {
-    console.error("Login Error:", err);
-    res.status(500).json({ 
-      message: "Error during login", 
-      error: err.message 
+    console.error("Error fetching comments:", err);
+    res.status(500).json({ message: "Error fetching comments", error: err.message });
+  }
+});
+
+// Public: post a comment or reply; it waits in the moderation queue
+app.post("/api/blogs/:id/comments", commentRateLimiter, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ message: "Invalid Blog ID format" });
+    }
+    
+    const blog = await Blog.findOne({ ...publicBlogFilter(), _id: req.params.id }).select('_id').lean();
+    if (!blog) return res.status(404).json({ message: "Blog not found" });
+    
+    const name = (req.body.name || '').toString().trim();
+    const email = (req.body.email || '').toString().trim().toLowerCase();
+    const content = (req.body.content || '').toString().trim();
+    const { parentId } = req.body;
+    
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return res.status(400).json({ message: "Invalid parent comment ID format" });
+      }
+      parent = await Comment.findOne({ _id: parentId, blog: blog._id, status: 'approved' }).select('_id').lean();
+      if (!parent) return res.status(400).json({ message: "Parent comment not found" });
+    }
+    
+    const spamReasons = await evaluateCommentSpam({ blogId: blog._id, name, email, content, ip: req.ip });
+    
+    const comment = await Comment.create({
+      blog: blog._id,
+      parent: parent ? parent._id : null,
+      guest: { name, email },
+      content,
+      status: spamReasons.length > 0 ? 'spam' : 'pending',
+      spamReasons,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (spamReasons.length > 0) {
+      console.warn(`⚠️ Comment ${comment._id} flagged as spam: ${spamReasons.join('; ')}`);
+    }
+    
+    // Spam is not announced to the sender
+    res.status(201).json({
+      message: "Thank you! Your comment will appear once it has been approved.",
+      comment: { _id: comment._id, parent: comment.parent, createdAt: comment.createdAt }
     });
+  } catch (err) {
+    if (err?.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    console.error("Error creating comment:", err);
+    res.status(500).json({ message: "Error creating comment", error: err.message });
+  }
+});
+
+// Moderation queue - admins see every post, authors only their own
+app.get("/api/comments", authenticateToken, async (req, res) => {
+  try {
+    const { status, blogId, limit, skip } = req.query;
+    const query = { status: status || 'pending' };
+    
+    if (!COMMENT_STATUSES.includes(query.status)) {
+      return res.status(400).json({ message: `Status must be one of: ${COMMENT_STATUSES.join(', ')}` });
+    }
+    if (blogId) {
+      if (!mongoose.Types.ObjectId.isValid(blogId)) {
+        return res.status(400).json({ message: "Invalid Blog ID format" });
+      }
+      query.blog = blogId;
+    }
+    if (!['admin', 'superadmin'].includes(req.user.role)) {
+      const ownBlogIds = await Blog.find({ authorId: req.user.id }).distinct('_id');
+      query.blog = blogId
+        ? (ownBlogIds.some(id => id.toString() === blogId) ? blogId : { $in: [] })
+        : { $in: ownBlogIds };
+    }
+    
+    const parsedLimit = Math.min(parseInt(limit) || 50, 200);
+    const parsedSkip = parseInt(skip) || 0;
+    
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .populate('blog', 'title slug')
+        .sort({ createdAt: -1 })
+        .skip(parsedSkip)
+        .limit(parsedLimit)
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+    
+    res.json({ comments, total, limit: parsedLimit, skip: parsedSkip });
+  } catch (err) {
+    console.error("Error fetching comment queue:", err);
+    res.status(500).json({ message: "Error fetching comment queue", error: err.message });
+  }
+});
+
+// Helper function to load a comment the current user may moderate
+// Returns { comment, error, statusCode }.
+const findModeratableComment = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { comment: null, error: "Invalid comment ID format", statusCode: 400 };
+  }
+  const comment = await Comment.findById(id);
+  if (!comment) return { comment: null, error: "Comment not found", statusCode: 404 };
+  
+  const blog = await Blog.findById(comment.blog).select('authorId').lean();
+  if (!canModerateComments(user, blog)) {
+    return { comment: null, error: "Access Denied: Insufficient permissions", statusCode: 403 };
+  }
+  return { comment, error: null };
+};
+
+// Approve, reject as spam, soft-delete or re-queue a comment (admin or the post's author)
+app.put("/api/comments/:id/status", authenticateToken, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!COMMENT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${COMMENT_STATUSES.join(', ')}` });
+    }
+    
+    const { comment, error, statusCode } = await findModeratableComment(req.params.id, req.user);
+    if (error) return res.status(statusCode).json({ message: error });
+    
+    comment.status = status;
+    comment.moderatedBy = { id: req.user.id, username: req.user.username };
+    comment.moderatedAt = new Date();
+    await comment.save();
+    
+    const commentCount = await refreshCommentCount(comment.blog);
+    console.log(`💬 Comment ${comment._id} marked ${status} by ${req.user.username}`);
+    res.json({ message: `Comment marked as ${status}`, comment, commentCount });
+  } catch (err) {
+    console.error("Error moderating comment:", err);
+    res.status(500).json({ message: "Error moderating comment", error: err.message });
+  }
+});
+
+// Permanently remove a comment and its replies (admin or the post's author)
+app.delete("/api/comments/:id", authenticateToken, async (req, res) => {
+  try {
+    const { comment, error, statusCode } = await findModeratableComment(req.params.id, req.user);
+    if (error) return res.status(statusCode).json({ message: error });
+    
+    // Collect the whole reply subtree
+    const ids = [comment._id];
+    for (let frontier = [comment._id]; frontier.length > 0;) {
+      frontier = await Comment.find({ parent: { $in: frontier } }).distinct('_id');
+      ids.push(...frontier);
+    }
+    
+    const result = await Comment.deleteMany({ _id: { $in: ids } });
+    const commentCount = await refreshCommentCount(comment.blog);
+    console.log(`🗑️ Comment ${comment._id} and ${result.deletedCount - 1} repl(ies) removed by ${req.user.username}`);
+    res.json({ message: "Comment deleted permanently", deleted: result.deletedCount, commentCount });
+  } catch (err) {
+    console.error("Error deleting comment:", err);
+    res.status(500).json({ message: "Error deleting comment", error: err.message });
+  }
+});
+
+// ================ CATEGORY ENDPOINTS ================
+// Helper function to build category fields from a request body
+// Returns { data, error }; `existing` is the category being updated, if any.
+async function buildCategoryData(body, existing = null) {
+  const data = {};
+
+  if (body.name !== undefined) {
+    const name = (body.name || '').toString().trim();
+    if (!name) return { data: null, error: 'Category name is required' };
+    data.name = name;
+  } else if (!existing) {
+    return { data: null, error: 'Category name is required' };
+  }
+
+  if (body.slug !== undefined && body.slug !== '') {
+    data.slug = generateSlug(body.slug);
+  } else if (!existing || (data.name && data.name !== existing.name)) {
+    data.slug = await findUniqueCategorySlug(data.name, existing?._id);
+  }
+  if (data.slug === '') return { data: null, error: 'Category slug is invalid' };
+
+  if (body.description !== undefined) data.description = body.description;
+  if (body.order !== undefined) data.order = parseInt(body.order) || 0;
+
+  if (body.parent !== undefined) {
+    if (!body.parent || body.parent === 'null') {
+      data.parent = null;
+    } else {
+      if (!mongoose.Types.ObjectId.isValid(body.parent)) {
+        return { data: null, error: 'Invalid parent category ID format' };
+      }
+      const parent = await Category.exists({ _id: body.parent });
+      if (!parent) return { data: null, error: 'Parent category not found' };
+      if (existing && await wouldCreateCategoryCycle(existing._id, body.parent)) {
+        return { data: null, error: 'A category cannot be moved under itself or one of its descendants' };
+      }
+      data.parent = body.parent;
+    }
+  }
+
+  // SEO image: either a media library asset or a plain URL ('' clears it)
+  if (body.seoImageMediaId) {
+    const { media, error } = await findMediaForReference(body.seoImageMediaId);
+    if (error) return { data: null, error };
+    data.seoImage = media.url;
+    data.seoImagePublicId = media.publicId;
+  } else if (body.seoImage !== undefined) {
+    data.seoImage = body.seoImage || null;
+    data.seoImagePublicId = body.seoImage ? getPublicIdFromUrl(body.seoImage) : null;
   }
-});
 
-// Get current user profile
-app.get("/api/auth/profile", authenticateToken, async (req, res) => {
+  return { data, error: null };
+}
+
+// Helper function to map category save errors to a response
+const handleCategorySaveError = (res, err, label) => {
+  if (err?.code === 11000) {
+    return res.status(409).json({ message: `A ${label} with this name or slug already exists` });
+  }
+  if (err?.name === 'ValidationError') {
+    const errors = Object.values(err.errors).map(e => e.message);
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  console.error(`Error saving ${label}:`, err);
+  res.status(500).json({ 
+    message: `Error saving ${label}`, 
+    error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+  });
+};
+
+// List categories (flat); `parent=root` or `parent=<id>` narrows to one level
+app.get("/api/categories", async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    const query = {};
+    if (req.query.parent === 'root') {
+      query.parent = null;
+    } else if (req.query.parent) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.parent)) {
+        return res.status(400).json({ message: "Invalid parent category ID format" });
+      }
+      query.parent = req.query.parent;
     }
     
-    res.json({ user: user.profile });
+    const categories = await Category.find(query).sort({ order: 1, name: 1 }).lean();
+    res.json({ categories, total: categories.length });
   } catch (err) {
-    console.error("Profile Error:", err);
-    res.status(500).json({ 
-      message: "Error fetching profile", 
-      error: err.message 
-    });
+    console.error("Error fetching categories:", err);
+    res.status(500).json({ message: "Error fetching categories", error: err.message });
   }
 });
 
-// Update user profile
-app.put("/api/auth/profile", authenticateToken, async (req, res) => {
+// Category tree with published post counts
+// `postCount` counts the category itself, `totalPostCount` includes its descendants.
+app.get("/api/categories/tree", async (req, res) => {
   try {
-    const { email } = req.body;
-    const user = await User.findById(req.user.id);
-    
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
-    }
+    const [categories, counts] = await Promise.all([
+      Category.find({}).sort({ order: 1, name: 1 }).lean(),
+      Blog.aggregate([
+        { $match: { ...publicBlogFilter(), categoryId: { $ne: null } } },
+        { $group: { _id: '$categoryId', count: { $sum: 1 } } }
+      ])
+    ]);
     
-    if (email) user.email = email;
-    await user.save();
+    const countById = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+    const nodes = new Map(categories.map(category => [
+      category._id.toString(),
+      { ...category, postCount: countById.get(category._id.toString()) || 0, children: [] }
+    ]));
     
-    res.json({ 
-      message: "Profile updated successfully", 
-      user: user.profile 
+    const roots = [];
+    nodes.forEach(node => {
+      const parent = node.parent && nodes.get(node.parent.toString());
+      if (parent) parent.children.push(node);
+      else roots.push(node);
     });
+    
+    const sumPosts = (node) => {
+      node.totalPostCount = node.postCount + node.children.reduce((sum, child) => sum + sumPosts(child), 0);
+      return node.totalPostCount;
+    };
+    roots.forEach(sumPosts);
+    
+    res.json({ tree: roots, total: categories.length });
   } catch (err) {
-    console.error("Profile Update Error:", err);
-    res.status(500).json({ 
-      message: "Error updating profile", 
-      error: err.message 
-    });
+    console.error("Error building category tree:", err);
+    res.status(500).json({ message: "Error building category tree", error: err.message });
   }
 });
 
-// ================ USER MANAGEMENT ENDPOINTS ================
-// Get all users (Admin/SuperAdmin only)
-app.get("/api/auth/users", authenticateToken, async (req, res) => {
+// Get one category by ID or slug, with its direct children
+app.get("/api/categories/:idOrSlug", async (req, res) => {
   try {
-    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
-      return res.status(403).json({ 
-        message: "Access denied. Admin privileges required.",
-        requiredRole: ["admin", "superadmin"],
-        currentRole: req.user.role
-      });
-    }
-    
-    console.log(`Admin ${req.user.username} fetching all users`);
-    
-    const users = await User.find({}, { password: 0 }).sort({ createdAt: -1 });
+    const { idOrSlug } = req.params;
+    const category = mongoose.Types.ObjectId.isValid(idOrSlug)
+      ? await Category.findById(idOrSlug).lean()
+      : await Category.findOne({ slug: idOrSlug.toLowerCase() }).lean();
+    if (!category) return res.status(404).json({ message: "Category not found" });
     
-    console.log(`Found ${users.length} users`);
-    res.json(users);
+    const [children, postCount] = await Promise.all([
+      Category.find({ parent: category._id }).sort({ order: 1, name: 1 }).lean(),
+      Blog.countDocuments({ ...publicBlogFilter(), categoryId: category._id })
+    ]);
     
+    res.json({ ...category, children, postCount });
   } catch (err) {
-    console.error("Error fetching users:", err);
-    res.status(500).json({ 
-      message: "Error fetching users", 
-      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-    });
+    console.error("Error fetching category:", err);
+    res.status(500).json({ message: "Error fetching category", error: err.message });
   }
 });
 
-// Get specific user by ID (Admin/SuperAdmin only)
-app.get("/api/auth/users/:id", authenticateToken, async (req, res) => {
+// Create a category (Admin/SuperAdmin only)
+app.post("/api/categories", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
-      return res.status(403).json({ 
-        message: "Access denied. Admin privileges required." 
-      });
-    }
-    
-    const { id } = req.params;
-    
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
+    const { data, error } = await buildCategoryData(req.body);
+    if (error) return res.status(400).json({ message: error });
     
-    const user = await User.findById(id, { password: 0 });
-    if (!user) {
-      return res.status(404).json({ message: "User not found" });
+    const existing = await findCategory(data.name);
+    if (existing && normalizeCategoryKey(existing.name) === normalizeCategoryKey(data.name)) {
+      return res.status(409).json({ 
+        message: `Category "${existing.name}" already exists`, 
+        category: existing 
+      });
     }
     
-    res.json(user);
+    const category = await Category.create(data);
+    console.log(`🗂️ Category "${category.name}" created by ${req.user.username}`);
+    res.status(201).json({ message: "Category created successfully", category });
   } catch (err) {
-    console.error("Error fetching user:", err);
-    res.status(500).json({ 
-      message: "Error fetching user", 
-      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-    });
+    handleCategorySaveError(res, err, 'category');
   }
 });
 
-// Update user (Admin/SuperAdmin only)
-app.put("/api/auth/users/:id", authenticateToken, async (req, res) => {
+// Update a category (Admin/SuperAdmin only) - renames are copied onto its blogs
+app.put("/api/categories/:id", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
-      return res.status(403).json({ 
-        message: "Access denied. Admin privileges required." 
-      });
-    }
-    
     const { id } = req.params;
-    const { username, email, role, isActive } = req.body;
-    
     if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
-    
-    const userToUpdate = await User.findById(id);
-    if (!userToUpdate) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    
-    if (userToUpdate.username === 'admin' && username && username !== 'admin') {
-      return res.status(403).json({ 
-        message: "Cannot change main admin username" 
-      });
-    }
-    
-    if (role === 'superadmin' && req.user.role.toLowerCase() !== 'superadmin') {
-      return res.status(403).json({ 
-        message: "Only superadmin can promote users to superadmin role" 
-      });
+      return res.status(400).json({ message: "Invalid category ID format" });
     }
     
-    const updateData = {};
-    if (username) updateData.username = username;
-    if (email) updateData.email = email;
-    if (role) updateData.role = role;
-    if (typeof isActive === 'boolean') updateData.isActive = isActive;
+    const category = await Category.findById(id);
+    if (!category) return res.status(404).json({ message: "Category not found" });
     
-    const updatedUser = await User.findByIdAndUpdate(
-      id, 
-      updateData, 
-      { new: true, runValidators: true }
-    ).select({ password: 0 });
+    const { data, error } = await buildCategoryData(req.body, category);
+    if (error) return res.status(400).json({ message: error });
     
-    console.log(`User ${updatedUser.username} updated by ${req.user.username}`);
-    res.json({ 
-      message: "User updated successfully",
-      user: updatedUser
-    });
-  } catch (err) {
-    console.error("Error updating user:", err);
+    const previousName = category.name;
+    category.set(data);
+    await category.save();
     
-    if (err.code === 11000) {
-      return res.status(409).json({ 
-        message: "Username or email already exists" 
-      });
+    let renamedBlogs = 0;
+    if (category.name !== previousName) {
+      const result = await Blog.updateMany(
+        { categoryId: category._id },
+        { $set: { category: category.name } }
+      );
+      renamedBlogs = result.modifiedCount;
+      invalidateRelatedPostsCache();
+      console.log(`🗂️ Category "${previousName}" renamed to "${category.name}" (${renamedBlogs} blog(s) updated)`);
     }
     
-    res.status(500).json({ 
-      message: "Error updating user", 
-      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-    });
+    res.json({ message: "Category updated successfully", category, renamedBlogs });
+  } catch (err) {
+    handleCategorySaveError(res, err, 'category');
   }
 });
 
-// Delete user (Admin/SuperAdmin only)
-app.delete("/api/auth/users/:id", authenticateToken, async (req, res) => {
+// Delete a category (Admin/SuperAdmin only) - refused while it has posts or children
+app.delete("/api/categories/:id", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    if (!['admin', 'superadmin'].includes(req.user.role.toLowerCase())) {
-      return res.status(403).json({ 
-        message: "Access denied. Admin privileges required." 
-      });
-    }
-    
     const { id } = req.params;
-    console.log(`Admin ${req.user.username} attempting to delete user: ${id}`);
-    
     if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid user ID format" });
-    }
-    
-    const userToDelete = await User.findById(id);
-    if (!userToDelete) {
-      return res.status(404).json({ message: "User not found" });
-    }
-    
-    console.log(`Found user to delete: ${userToDelete.username}`);
-    
-    if (userToDelete.username === 'admin') {
-      return res.status(403).json({ 
-        message: "Cannot delete the main admin user" 
-      });
+      return res.status(400).json({ message: "Invalid category ID format" });
     }
     
-    if (userToDelete._id.toString() === req.user.id) {
-      return res.status(403).json({ 
-        message: "Cannot delete yourself" 
-      });
-    }
+    const category = await Category.findById(id);
+    if (!category) return res.status(404).json({ message: "Category not found" });
     
-    if (userToDelete.role === 'superadmin' && req.user.role.toLowerCase() !== 'superadmin') {
-      return res.status(403).json({ 
-        message: "Only superadmin can delete other superadmins" 
+    const [blogs, children] = await Promise.all([
+      Blog.countDocuments({ categoryId: category._id }),
+      Category.countDocuments({ parent: category._id })
+    ]);
+    if (blogs > 0 || children > 0) {
+      return res.status(409).json({ 
+        message: "Category still has posts or subcategories; move them first", 
+        usage: { blogs, children }
       });
     }
     
-    await User.findByIdAndDelete(id);
-    console.log(`User ${userToDelete.username} deleted successfully`);
-    
-    res.json({ 
-      message: `User "${userToDelete.username}" deleted successfully`,
-      deletedUser: {
-        id: userToDelete._id,
-        username: userToDelete.username,
-        role: userToDelete.role
-      }
-    });
+    await category.deleteOne();
+    console.log(`🗑️ Category "${category.name}" deleted by ${req.user.username}`);
+    res.json({ message: "Category deleted successfully" });
   } catch (err) {
-    console.error("Error deleting user:", err);
+    console.error("Error deleting category:", err);
     res.status(500).json({ 
-      message: "Error deleting user", 
+      message: "Error deleting category", 
       error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
     });
   }
 });
 
-// ✅ General ping endpoint
-app.get("/api/ping", (req, res) => {
-  res.json({ 
-    message: "Server is running!", 
-    timestamp: new Date().toISOString(),
-    status: "healthy",
-    server: "Express Blog Backend"
-  });
-});
-
-// ✅ Wake/Ping Endpoint
-app.get("/api/blogs/ping", (req, res) => {
-  res.status(200).json({ message: "Server is awake!" });
-});
-
-// ✅ Fetch all blogs WITH TAGS AND COURSES SUPPORT
-app.get("/api/blogs", async (req, res) => {
+// ================ SUBCATEGORY ENDPOINTS ================
+// List subcategories with post counts
+app.get("/api/subcategories", async (req, res) => {
   try {
-    const { category, subcategory, status, tags, limit, skip } = req.query;
-    let query = {};
-    
-    if (category) query.category = category;
-    if (subcategory) query.subcategory = subcategory;
-    if (status) query.status = status;
-    
-    // Add tag filtering support
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
-      query.tags = { $in: tagArray };
-    }
-    
-    const parsedLimit = parseInt(limit) || 8;
-    const parsedSkip = parseInt(skip) || 0;
-    
-    const blogs = await Blog.find(query)
-      .sort({ createdAt: -1 })
-      .skip(parsedSkip)
-      .limit(parsedLimit + 1);
-    
-    const hasMore = blogs.length > parsedLimit;
-    const blogsToSend = hasMore ? blogs.slice(0, parsedLimit) : blogs;
+    const [subcategories, counts] = await Promise.all([
+      Subcategory.find({}).sort({ name: 1 }).lean(),
+      Blog.aggregate([
+        { $match: publicBlogFilter() },
+        { $group: { _id: '$subcategory', count: { $sum: 1 } } }
+      ])
+    ]);
+    const countByName = new Map(counts.map(({ _id, count }) => [_id, count]));
     
-    res.json({ blogs: blogsToSend, hasMore });
+    res.json({
+      subcategories: subcategories.map(subcategory => ({
+        ...subcategory,
+        postCount: countByName.get(subcategory.name) || 0
+      })),
+      total: subcategories.length
+    });
   } catch (err) {
-    console.error("Error fetching blogs:", err);
-    res.status(500).json({ message: "Error fetching blogs", error: err.message });
+    console.error("Error fetching subcategories:", err);
+    res.status(500).json({ message: "Error fetching subcategories", error: err.message });
   }
 });
 
-// ✅ ENHANCED: Backend tags endpoint with null filtering
-app.get("/api/blogs/tags", async (req, res) => {
+// Create a subcategory (Admin/SuperAdmin only)
+app.post("/api/subcategories", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    console.log('🏷️ Fetching all tags from database...');
-    const tags = await Blog.distinct("tags");
-    
-    // ✅ ENHANCED: Filter out null, undefined, empty, and non-string values
-    const sortedTags = tags
-      .filter(tag => {
-        return tag && 
-               typeof tag === 'string' && 
-               tag.trim() !== '';
-      })
-      .map(tag => tag.trim()) // Clean up whitespace
-      .sort();
+    const name = (req.body.name || '').toString().trim();
+    if (!name) return res.status(400).json({ message: "Subcategory name is required" });
     
-    console.log(`Found ${sortedTags.length} valid unique tags`);
-    res.json({ 
-      tags: sortedTags,
-      count: sortedTags.length
+    const subcategory = await Subcategory.create({
+      name,
+      slug: generateSlug(req.body.slug || name),
+      description: req.body.description
     });
-  } catch (err) {
-    console.error("❌ Error fetching tags:", err);
-    res.status(500).json({ message: "Error fetching tags", error: err.message });
+    console.log(`🗂️ Subcategory "${subcategory.name}" created by ${req.user.username}`);
+    res.status(201).json({ message: "Subcategory created successfully", subcategory });
+  } catch (err) {
+    handleCategorySaveError(res, err, 'subcategory');
   }
 });
 
-
-// ✅ Search blogs by tags
-app.get("/api/blogs/search/tags", async (req, res) => {
+// Update a subcategory (Admin/SuperAdmin only) - renames are copied onto its blogs
+app.put("/api/subcategories/:id", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    const { tags, limit, skip } = req.query;
-    
-    if (!tags) {
-      return res.status(400).json({ message: "Tags parameter is required" });
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid subcategory ID format" });
     }
     
-    const tagArray = Array.isArray(tags) ? tags : [tags];
+    const subcategory = await Subcategory.findById(id);
+    if (!subcategory) return res.status(404).json({ message: "Subcategory not found" });
     
-    const [blogs, total] = await Promise.all([
-      Blog.find({ tags: { $in: tagArray } })
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit) || 10)
-        .skip(parseInt(skip) || 0)
-        .lean(),
-      Blog.countDocuments({ tags: { $in: tagArray } })
-    ]);
+    const previousName = subcategory.name;
+    if (req.body.name !== undefined) {
+      const name = (req.body.name || '').toString().trim();
+      if (!name) return res.status(400).json({ message: "Subcategory name is required" });
+      subcategory.name = name;
+      if (!req.body.slug) subcategory.slug = generateSlug(name);
+    }
+    if (req.body.slug) subcategory.slug = generateSlug(req.body.slug);
+    if (req.body.description !== undefined) subcategory.description = req.body.description;
+    await subcategory.save();
     
-    res.json({
-      blogs,
-      total,
-      limit: parseInt(limit) || 10,
-      skip: parseInt(skip) || 0
-    });
+    let renamedBlogs = 0;
+    if (subcategory.name !== previousName) {
+      const result = await Blog.updateMany(
+        { subcategory: previousName },
+        { $set: { subcategory: subcategory.name } }
+      );
+      renamedBlogs = result.modifiedCount;
+      invalidateRelatedPostsCache();
+    }
+    
+    res.json({ message: "Subcategory updated successfully", subcategory, renamedBlogs });
   } catch (err) {
-    console.error("Error searching blogs by tags:", err);
-    res.status(500).json({ message: "Error searching blogs", error: err.message });
+    handleCategorySaveError(res, err, 'subcategory');
   }
 });
 
-// ✅ Get current user's blog posts only
-app.get("/api/blogs/my-posts", authenticateToken, async (req, res) => {
+// Delete a subcategory (Admin/SuperAdmin only) - refused while posts use it
+app.delete("/api/subcategories/:id", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    const { category, subcategory, status, tags, limit, skip } = req.query;
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid subcategory ID format" });
+    }
     
-    console.log(`Fetching posts for user: ${req.user.username} (ID: ${req.user.id})`);
+    const subcategory = await Subcategory.findById(id);
+    if (!subcategory) return res.status(404).json({ message: "Subcategory not found" });
     
-    // Build query for current user's posts only
-    let query = { 
-      $or: [
-        { author: req.user.username },
-        { authorId: req.user.id },
-        { createdBy: req.user.id },
-        { userId: req.user.id }
-      ]
-    };
+    const blogs = await Blog.countDocuments({ subcategory: subcategory.name });
+    if (blogs > 0) {
+      return res.status(409).json({ 
+        message: "Subcategory is still used by posts; move them first", 
+        usage: { blogs }
+      });
+    }
     
-    if (category) query.category = category;
-    if (subcategory) query.subcategory = subcategory;
-    if (status) query.status = status;
+    await subcategory.deleteOne();
+    console.log(`🗑️ Subcategory "${subcategory.name}" deleted by ${req.user.username}`);
+    res.json({ message: "Subcategory deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting subcategory:", err);
+    res.status(500).json({ 
+      message: "Error deleting subcategory", 
+      error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
+    });
+  }
+});
+
+// ================ TAG ENDPOINTS ================
+// Helper function to normalize a single tag the same way processTags does
+const normalizeTag = (tag) => processTags([tag])[0] || null;
+
+// Helper function to replace `sources` with `target` on every post carrying one of them.
+// Runs as one update pipeline, dedupes the result and keeps tag order; since tags are only
+// replaced or dropped, a post never ends up with more tags than it had (max 10).
+const replaceTagsAcrossBlogs = async (sources, target) => {
+  return Blog.updateMany(
+    { tags: { $in: sources } },
+    [{
+      $set: {
+        tags: {
+          $slice: [{
+            $reduce: {
+              input: {
+                $map: {
+                  input: '$tags',
+                  as: 'tag',
+                  in: { $cond: [{ $in: ['$$tag', sources] }, target, '$$tag'] }
+                }
+              },
+              initialValue: [],
+              in: {
+                $cond: [
+                  { $in: ['$$this', '$$value'] },
+                  '$$value',
+                  { $concatArrays: ['$$value', ['$$this']] }
+                ]
+              }
+            }
+          }, 10]
+        }
+      }
+    }]
+  );
+};
+
+// List tags with usage counts and last-used dates (Admin/SuperAdmin only)
+// Counts cover every post; `publishedCount` only the publicly visible ones.
+app.get("/api/tags", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { q, sort } = req.query;
+    const now = new Date();
     
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
-      query.tags = { $in: tagArray };
+    const pipeline = [
+      { $unwind: '$tags' },
+      { $match: { tags: { $type: 'string', $ne: '' } } }
+    ];
+    if (q && q.trim()) {
+      pipeline.push({ $match: { tags: new RegExp(escapeRegExp(q.trim()), 'i') } });
     }
+    pipeline.push(
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          publishedCount: {
+            $sum: {
+              $cond: [{
+                $and: [
+                  { $eq: ['$publicationStatus', 'published'] },
+                  { $lte: ['$publishedAt', now] }
+                ]
+              }, 1, 0]
+            }
+          },
+          lastUsedAt: { $max: { $ifNull: ['$updatedAt', '$createdAt'] } }
+        }
+      },
+      { $project: { _id: 0, tag: '$_id', count: 1, publishedCount: 1, lastUsedAt: 1 } }
+    );
     
-    const parsedLimit = parseInt(limit) || 50;
-    const parsedSkip = parseInt(skip) || 0;
+    const sortOptions = {
+      name: { tag: 1 },
+      lastUsed: { lastUsedAt: -1, tag: 1 },
+      count: { count: -1, tag: 1 }
+    };
+    pipeline.push({ $sort: sortOptions[sort] || sortOptions.count });
     
-    const blogs = await Blog.find(query)
-      .sort({ createdAt: -1 })
-      .skip(parsedSkip)
-      .limit(parsedLimit);
+    const tags = await Blog.aggregate(pipeline);
+    res.json({ tags, total: tags.length });
+  } catch (err) {
+    console.error("Error fetching tag usage:", err);
+    res.status(500).json({ message: "Error fetching tag usage", error: err.message });
+  }
+});
+
+// Rename a tag on every post (Admin/SuperAdmin only)
+app.post("/api/tags/rename", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const from = (req.body.from || '').toString().trim();
+    const to = normalizeTag(req.body.to || '');
     
-    console.log(`✅ Found ${blogs.length} posts for user ${req.user.username}`);
+    if (!from || !to) {
+      return res.status(400).json({ message: "Both 'from' and a valid 'to' tag (1-50 characters) are required" });
+    }
+    if (from === to) {
+      return res.status(400).json({ message: "New tag name is the same as the current one" });
+    }
     
+    const result = await replaceTagsAcrossBlogs([from], to);
+    invalidateRelatedPostsCache();
+    console.log(`🏷️ Tag "${from}" renamed to "${to}" by ${req.user.username} (${result.modifiedCount} posts)`);
     res.json({ 
-      blogs, 
-      total: blogs.length,
-      author: req.user.username 
+      message: `Tag "${from}" renamed to "${to}"`, 
+      matchedPosts: result.matchedCount,
+      modifiedPosts: result.modifiedCount
     });
-    
   } catch (err) {
-    console.error("Error fetching user blogs:", err);
-    res.status(500).json({ message: "Error fetching user blogs", error: err.message });
+    console.error("Error renaming tag:", err);
+    res.status(500).json({ message: "Error renaming tag", error: err.message });
   }
 });
 
-// ====================================
-// PARAMETERIZED ROUTES (most specific to least specific)
-// ====================================
-
-// ✅ Fetch blog by SLUG (more specific than ID)
-app.get("/api/blogs/slug/:slug", async (req, res) => {
+// Merge several tags into one (Admin/SuperAdmin only)
+app.post("/api/tags/merge", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    const blog = await Blog.findOne({ slug: req.params.slug });
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
-    res.json(blog);
+    const sources = (Array.isArray(req.body.tags) ? req.body.tags : [])
+      .map(tag => (tag || '').toString().trim())
+      .filter(Boolean);
+    const into = normalizeTag(req.body.into || '');
+    
+    if (sources.length === 0 || !into) {
+      return res.status(400).json({ message: "A non-empty 'tags' array and a valid 'into' tag (1-50 characters) are required" });
+    }
+    
+    const result = await replaceTagsAcrossBlogs([...new Set(sources)], into);
+    invalidateRelatedPostsCache();
+    console.log(`🏷️ Tags [${sources.join(', ')}] merged into "${into}" by ${req.user.username} (${result.modifiedCount} posts)`);
+    res.json({ 
+      message: `Merged ${sources.length} tag(s) into "${into}"`, 
+      matchedPosts: result.matchedCount,
+      modifiedPosts: result.modifiedCount
+    });
   } catch (err) {
-    res.status(500).json({ message: "Error fetching blog", error: err.message });
+    console.error("Error merging tags:", err);
+    res.status(500).json({ message: "Error merging tags", error: err.message });
   }
 });
 
-// ✅ Parameterized routes (ID-based)
-app.get("/api/blogs/:id", async (req, res) => {
+// Remove a tag from every post (Admin/SuperAdmin only)
+app.delete("/api/tags/:tag", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
-      return res.status(400).json({ message: "Invalid Blog ID format" });
-    }
-    const blog = await Blog.findById(req.params.id);
-    if (!blog) return res.status(404).json({ message: "Blog not found" });
-    res.json(blog);
+    const tag = req.params.tag.trim();
+    if (!tag) return res.status(400).json({ message: "Tag is required" });
+    
+    const result = await Blog.updateMany({ tags: tag }, { $pull: { tags: tag } });
+    invalidateRelatedPostsCache();
+    console.log(`🗑️ Tag "${tag}" removed by ${req.user.username} (${result.modifiedCount} posts)`);
+    res.json({ 
+      message: `Tag "${tag}" removed`, 
+      matchedPosts: result.matchedCount,
+      modifiedPosts: result.modifiedCount
+    });
   } catch (err) {
-    res.status(500).json({ message: "Error fetching blog", error: err.message });
+    console.error("Error deleting tag:", err);
+    res.status(500).json({ message: "Error deleting tag", error: err.message });
   }
 });
 
-// ✅ Create a new blog WITH COURSES SUPPORT
-app.post(
-  "/api/blogs",
-  authenticateToken,
-  uploadFields,
-  async (req, res) => {
-    try {
-      const {
-        title,
-        content,
-        category,
-        subcategory,
-        author,
-        status,
-        slug: providedSlug,
-        tags: tagsInput,
-        courses: coursesInput
-      } = req.body;
-      
-      console.log("📝 Creating blog with courses:", {
-        title,
-        coursesInput,
-        files: req.files
-      });
-      
-      let blogSlug;
-      if (providedSlug) {
-        blogSlug = generateSlug(providedSlug);
-      } else {
-        blogSlug = generateSlug(title);
-      }
-      blogSlug = await findUniqueSlug(blogSlug, Blog);
-      
-      // Handle Featured Image
-      let imagePath = null;
-      let imagePublicId = null;
-      if (req.files && req.files.image && req.files.image[0]) {
-        const imageFile = req.files.image[0];
-        imagePath = imageFile.path;
-        imagePublicId = imageFile.filename || getPublicIdFromUrl(imagePath);
-        console.log("📸 Featured image uploaded:", imagePath);
-      }
-      
-      // Handle Banner Image
-      let bannerImagePath = null;
-      let bannerImagePublicId = null;
-      if (req.files && req.files.bannerImage && req.files.bannerImage[0]) {
-        const bannerFile = req.files.bannerImage[0];
-        bannerImagePath = bannerFile.path;
-        bannerImagePublicId = bannerFile.filename || getPublicIdFromUrl(bannerImagePath);
-        console.log("🖼️ Banner image uploaded:", bannerImagePath);
-      }
-      
-      // ✅ Process courses data
-      let processedCourses = [];
-      let courseImagesData = [];
-      
-      if (coursesInput) {
-        try {
-          const coursesArray = typeof coursesInput === 'string' ? JSON.parse(coursesInput) : coursesInput;
-          
-          // Handle course images
-          const courseImages = req.files && req.files.courseImages ? req.files.courseImages : [];
-          
-          processedCourses = coursesArray.map((course, index) => {
-            const courseImage = courseImages[index];
-            let courseImagePath = null;
-            let courseImagePublicId = null;
-            
-            if (courseImage) {
-              courseImagePath = courseImage.path;
-              courseImagePublicId = courseImage.filename || getPublicIdFromUrl(courseImagePath);
-              
-              // Store metadata for cleanup
-              courseImagesData.push({
-                fieldIndex: index,
-                publicId: courseImagePublicId,
-                url: courseImagePath
-              });
-              
-              console.log(`🎓 Course ${index + 1} image uploaded:`, courseImagePath);
-            }
-            
-            return {
-              name: course.name,
-              description: course.description,
-              courseUrl: course.courseUrl,
-              courseImage: courseImagePath,
-              courseImagePublicId: courseImagePublicId
-            };
-          });
-          
-          console.log("🎓 Processed courses:", processedCourses.length);
-        } catch (err) {
-          console.error("Error processing courses:", err);
-          throw new Error("Invalid courses data format");
-        }
-      }
-      
-      // Process tags
-      const processedTags = processTags(tagsInput);
-      
-      const newBlog = new Blog({
-        title,
-        slug: blogSlug,
-        content,
-        category,
-        subcategory,
-        author,
-        image: imagePath,
-        imagePublicId,
-        bannerImage: bannerImagePath,
-        bannerImagePublicId,
-        status: status || "None",
-        tags: processedTags,
-        courses: processedCourses,
-        courseImagesData: courseImagesData
-      });
-      
-      await newBlog.save();
-      console.log("✅ Blog created successfully with courses and images");
-      
-      res.status(201).json({ 
-        message: "Blog created successfully with courses", 
-        blog: newBlog 
-      });
-    } catch (err) {
-      // Cleanup uploaded files if blog creation fails
-      if (req.files) {
-        const filesToClean = [];
-        
-        if (req.files.image && req.files.image[0]) {
-          filesToClean.push(req.files.image[0].filename || getPublicIdFromUrl(req.files.image[0].path));
-        }
-        if (req.files.bannerImage && req.files.bannerImage[0]) {
-          filesToClean.push(req.files.bannerImage[0].filename || getPublicIdFromUrl(req.files.bannerImage[0].path));
-        }
-        if (req.files.courseImages) {
-          req.files.courseImages.forEach(file => {
-            filesToClean.push(file.filename || getPublicIdFromUrl(file.path));
-          });
-        }
-        
-        // Delete all uploaded files
-        filesToClean.forEach(async (publicId) => {
-          await deleteCloudinaryImage(publicId);
-        });
-      }
-      
-      if (err.code === 11000 && err.keyPattern && err.keyPattern.slug) {
-        return res.status(409).json({
-          message: "A blog with a similar title/slug already exists. Please choose a unique title or provide a custom slug.",
-          error: err.message,
-        });
-      }
-      console.error("Error creating blog:", err);
-      res.status(500).json({ message: "Error creating blog", error: err.message });
-    }
-  }
-);
+// ================ RSS / ATOM FEED ENDPOINTS ================
+const FEED_TITLE = process.env.FEED_TITLE || "Connecting Dots ERP Blog";
+const FEED_DESCRIPTION = process.env.FEED_DESCRIPTION || "Articles, tutorials and interview questions from Connecting Dots ERP";
+const FEED_ITEM_LIMIT = 50;
 
-// Update a blog WITH COURSES SUPPORT - Improved Implementation
-app.put('/api/blogs/:id', authenticateToken, uploadFields, async (req, res) => {
+const IMAGE_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif',
+  svg: 'image/svg+xml'
+};
+
+// Helper function to build a short plain-text summary of a post
+const buildFeedSummary = (blog, length = 300) => {
+  const text = stripHtml(blog.content);
+  return text.length > length ? `${text.slice(0, length).trim()}…` : text;
+};
+
+// Helper function to describe the featured image as a feed enclosure
+const getFeedEnclosure = (blog) => {
+  if (!blog.image) return null;
+  const format = blog.imageMeta?.format || path.extname(blog.image).replace('.', '').toLowerCase();
+  return {
+    url: blog.image,
+    length: blog.imageMeta?.bytes || 0,
+    type: IMAGE_MIME_TYPES[format] || 'image/png'
+  };
+};
+
+const renderRssFeed = ({ title, description, feedUrl, siteUrl, blogs, fullContent, site, lastModified }) => {
+  const items = blogs.map(blog => {
+    const link = buildPostUrl(site, blog.slug);
+    const enclosure = getFeedEnclosure(blog);
+    return [
+      '    <item>',
+      `      <title>${escapeXml(blog.title)}</title>`,
+      `      <link>${escapeXml(link)}</link>`,
+      `      <guid isPermaLink="false">${escapeXml(blog._id.toString())}</guid>`,
+      `      <pubDate>${new Date(blog.publishedAt || blog.createdAt).toUTCString()}</pubDate>`,
+      `      <atom:updated>${new Date(blog.updatedAt).toISOString()}</atom:updated>`,
+      `      <dc:creator>${escapeXml(blog.author)}</dc:creator>`,
+      `      <category>${escapeXml(blog.category)}</category>`,
+      ...(blog.tags || []).map(tag => `      <category>${escapeXml(tag)}</category>`),
+      `      <description>${escapeXml(buildFeedSummary(blog))}</description>`,
+      ...(fullContent ? [`      <content:encoded>${escapeXml(blog.content)}</content:encoded>`] : []),
+      ...(enclosure
+        ? [`      <enclosure url="${escapeXml(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>`]
+        : []),
+      '    </item>'
+    ].join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(siteUrl)}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${lastModified.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+const renderAtomFeed = ({ title, description, feedUrl, siteUrl, blogs, fullContent, site, lastModified }) => {
+  const entries = blogs.map(blog => {
+    const link = buildPostUrl(site, blog.slug);
+    const enclosure = getFeedEnclosure(blog);
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(blog.title)}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+      `    <id>urn:blog:${escapeXml(blog._id.toString())}</id>`,
+      `    <published>${new Date(blog.publishedAt || blog.createdAt).toISOString()}</published>`,
+      `    <updated>${new Date(blog.updatedAt).toISOString()}</updated>`,
+      `    <author><name>${escapeXml(blog.author)}</name></author>`,
+      `    <category term="${escapeXml(blog.category)}"/>`,
+      ...(blog.tags || []).map(tag => `    <category term="${escapeXml(tag)}"/>`),
+      `    <summary type="text">${escapeXml(buildFeedSummary(blog))}</summary>`,
+      ...(fullContent ? [`    <content type="html">${escapeXml(blog.content)}</content>`] : []),
+      ...(enclosure
+        ? [`    <link rel="enclosure" href="${escapeXml(enclosure.url)}" length="${enclosure.length}" type="${enclosure.type}"/>`]
+        : []),
+      '  </entry>'
+    ].join('\n');
+  });
+  
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(title)}</title>`,
+    `  <subtitle>${escapeXml(description)}</subtitle>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+    `  <id>${escapeXml(feedUrl)}</id>`,
+    `  <updated>${lastModified.toISOString()}</updated>`,
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+// Feeds: all posts, or filtered by category, subcategory, tag or author.
+// Query: ?site=<key>&content=full&limit=<n>. Supports If-None-Match / If-Modified-Since.
+app.get([
+  "/api/feeds/:format(rss|atom)",
+  "/api/feeds/:filter(category|subcategory|tag|author)/:value/:format(rss|atom)"
+], async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log('Updating blog:', id);
+    const { format, filter, value } = req.params;
+    const site = resolvePublicSite(req.query.site);
+    const query = publicBlogFilter();
+    let title = FEED_TITLE;
     
-    // Validate blog ID
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: 'Invalid Blog ID format' });
+    if (filter === 'category') query.category = value;
+    if (filter === 'subcategory') query.subcategory = value;
+    if (filter === 'tag') query.tags = value.toLowerCase();
+    if (filter === 'author') query.author = value;
+    if (filter) title = `${FEED_TITLE} - ${value}`;
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || FEED_ITEM_LIMIT, 1), 100);
+    
+    // Cheap freshness check first, so unchanged feeds are answered without loading posts
+    const [latest, total] = await Promise.all([
+      Blog.findOne(query).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+      Blog.countDocuments(query)
+    ]);
+    const lastModified = latest ? new Date(latest.updatedAt) : new Date(0);
+    lastModified.setMilliseconds(0);
+    
+    const etag = `W/"${crypto.createHash('sha1')
+      .update(`${req.originalUrl}|${lastModified.getTime()}|${total}`)
+      .digest('hex')}"`;
+    res.set('ETag', etag);
+    res.set('Last-Modified', lastModified.toUTCString());
+    res.set('Cache-Control', 'public, max-age=300');
+    
+    if (req.fresh) {
+      return res.status(304).end();
     }
-
-    // Find existing blog
-    const existingBlog = await Blog.findById(id);
-    if (!existingBlog) {
-      return res.status(404).json({ message: 'Blog not found' });
+    
+    const blogs = await Blog.find(query)
+      .sort({ publishedAt: -1, createdAt: -1 })
+      .limit(limit)
+      .lean();
+    
+    const feedUrl = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+    const feedOptions = {
+      title,
+      description: FEED_DESCRIPTION,
+      feedUrl,
+      siteUrl: site.baseUrl,
+      blogs,
+      fullContent: req.query.content === 'full',
+      site,
+      lastModified
+    };
+    
+    if (format === 'atom') {
+      res.type('application/atom+xml; charset=utf-8').send(renderAtomFeed(feedOptions));
+    } else {
+      res.type('application/rss+xml; charset=utf-8').send(renderRssFeed(feedOptions));
     }
+  } catch (err) {
+    console.error("Error generating feed:", err);
+    res.status(500).json({ message: "Error generating feed", error: err.message });
+  }
+});
 
-    const updatedData = {};
+// ================ SITEMAP ENDPOINTS ================
+// Sitemaps are split into pages of SITEMAP_MAX_URLS (the protocol limit is 50,000);
+// once there is more than one page, /api/sitemap.xml becomes a sitemap index.
+const SITEMAP_MAX_URLS = Math.min(parseInt(process.env.SITEMAP_MAX_URLS) || 50000, 50000);
 
-    // Process tags if provided
-    if (req.body.tags !== undefined) {
-      try {
-        updatedData.tags = processTags(req.body.tags);
-      } catch (e) {
-        return res.status(400).json({ message: 'Invalid tags format' });
-      }
-    }
+// Helper function to set caching headers and answer 304 when the sitemap is unchanged
+const applySitemapCaching = async (req, res, query) => {
+  const [latest, total] = await Promise.all([
+    Blog.findOne(query).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    Blog.countDocuments(query)
+  ]);
+  const lastModified = latest ? new Date(latest.updatedAt) : new Date(0);
+  lastModified.setMilliseconds(0);
+  
+  res.set('ETag', `W/"${crypto.createHash('sha1')
+    .update(`${req.originalUrl}|${lastModified.getTime()}|${total}`)
+    .digest('hex')}"`);
+  res.set('Last-Modified', lastModified.toUTCString());
+  res.set('Cache-Control', 'public, max-age=3600');
+  
+  return { total, lastModified, notModified: req.fresh };
+};
 
-    // Process courses if provided
-    if (Object.prototype.hasOwnProperty.call(req.body, 'courses')) {
-      const { validCourses, courseImagesData, error } = await processCourses(req.body.courses, req.files);
-      if (error) {
-        return res.status(400).json({ message: error });
-      }
-      updatedData.courses = validCourses;
-      updatedData.courseImagesData = courseImagesData;
+const renderSitemapIndex = (pageUrls, lastModified) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...pageUrls.map(pageUrl => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(pageUrl)}</loc>`,
+    `    <lastmod>${lastModified.toISOString()}</lastmod>`,
+    '  </sitemap>'
+  ].join('\n')),
+  '</sitemapindex>'
+].join('\n');
 
-      // Cleanup previous course images if any
-      if (Array.isArray(existingBlog.courseImagesData) && existingBlog.courseImagesData.length) {
-        await cleanupCourseImages(existingBlog.courseImagesData);
-      }
-    }
+const renderUrlSet = (blogs, site) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+  ...blogs.map(blog => {
+    const images = [
+      blog.image && { loc: blog.image, caption: blog.imageMeta?.alt || blog.title },
+      blog.bannerImage && { loc: blog.bannerImage, caption: blog.bannerImageMeta?.alt || blog.title }
+    ].filter(Boolean);
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(buildPostUrl(site, blog.slug))}</loc>`,
+      `    <lastmod>${new Date(blog.updatedAt).toISOString()}</lastmod>`,
+      ...images.map(image => [
+        '    <image:image>',
+        `      <image:loc>${escapeXml(image.loc)}</image:loc>`,
+        `      <image:caption>${escapeXml(image.caption)}</image:caption>`,
+        '    </image:image>'
+      ].join('\n')),
+      '  </url>'
+    ].join('\n');
+  }),
+  '</urlset>'
+].join('\n');
 
-    // Handle slug update if title or slug changed
-    if (req.body.title || req.body.slug) {
-      const slugResult = await handleSlugUpdate(req.body, existingBlog);
-      if (slugResult.error) {
-        return res.status(400).json({ message: slugResult.error });
-      }
-      updatedData.slug = slugResult.slug;
+// Helper function to load one sitemap page of published posts
+const findSitemapBlogs = (query, page) => Blog.find(query)
+  .sort({ _id: 1 })
+  .skip((page - 1) * SITEMAP_MAX_URLS)
+  .limit(SITEMAP_MAX_URLS)
+  .select('slug updatedAt image imageMeta.alt bannerImage bannerImageMeta.alt title')
+  .lean();
+
+// Sitemap (or sitemap index once posts exceed one page). Query: ?site=<key>
+app.get("/api/sitemap.xml", async (req, res) => {
+  try {
+    const site = resolvePublicSite(req.query.site);
+    const query = { ...publicBlogFilter(), 'seo.noindex': { $ne: true } };
+    const { total, lastModified, notModified } = await applySitemapCaching(req, res, query);
+    if (notModified) return res.status(304).end();
+    
+    const pageCount = Math.ceil(total / SITEMAP_MAX_URLS);
+    res.type('application/xml; charset=utf-8');
+    
+    if (pageCount <= 1) {
+      const blogs = await findSitemapBlogs(query, 1);
+      return res.send(renderUrlSet(blogs, site));
     }
+    
+    const baseUrl = `${req.protocol}://${req.get('host')}/api/sitemap`;
+    const pageUrls = Array.from({ length: pageCount }, (_, i) =>
+      `${baseUrl}/${i + 1}.xml?site=${encodeURIComponent(site.key)}`
+    );
+    res.send(renderSitemapIndex(pageUrls, lastModified));
+  } catch (err) {
+    console.error("Error generating sitemap:", err);
+    res.status(500).json({ message: "Error generating sitemap", error: err.message });
+  }
+});
 
-    // Handle featured image upload
-    if (req.files?.image?.[0]) {
-      const { path, publicId } = await handleImageUpload(
-        req.files.image[0],
-        existingBlog.imagePublicId
-      );
-      updatedData.image = path;
-      updatedData.imagePublicId = publicId;
+// One page of the sitemap index
+app.get("/api/sitemap/:page(\\d+).xml", async (req, res) => {
+  try {
+    const site = resolvePublicSite(req.query.site);
+    const page = parseInt(req.params.page);
+    const query = { ...publicBlogFilter(), 'seo.noindex': { $ne: true } };
+    const { total, notModified } = await applySitemapCaching(req, res, query);
+    
+    if (page < 1 || (page - 1) * SITEMAP_MAX_URLS >= Math.max(total, 1)) {
+      return res.status(404).json({ message: "Sitemap page not found" });
     }
+    if (notModified) return res.status(304).end();
+    
+    const blogs = await findSitemapBlogs(query, page);
+    res.type('application/xml; charset=utf-8').send(renderUrlSet(blogs, site));
+  } catch (err) {
+    console.error("Error generating sitemap page:", err);
+    res.status(500).json({ message: "Error generating sitemap page", error: err.message });
+  }
+});
 
-    // Handle banner image upload
-    if (req.files?.bannerImage?.[0]) {
-      const { path, publicId } = await handleImageUpload(
-        req.files.bannerImage[0],
-        existingBlog.bannerImagePublicId
-      );
-      updatedData.bannerImage = path;
-      updatedData.bannerImagePublicId = publicId;
+// ================ MEDIA LIBRARY ENDPOINTS ================
+// Helper function to add live reference counts to media documents
+const withMediaUsage = (mediaItems) => Promise.all(
+  mediaItems.map(async (media) => ({
+    ...media,
+    usage: await countImageReferences(media.publicId)
+  }))
+);
+
+// Upload one or more images to the library
+app.post("/api/media", authenticateToken, uploadMediaFiles, async (req, res) => {
+  try {
+    const files = req.files?.files || [];
+    if (files.length === 0) {
+      return res.status(400).json({ message: "At least one file is required in the 'files' field" });
     }
+    
+    const tags = processTags(req.body.tags);
+    const media = [];
+    for (const file of files) {
+      const meta = buildImageMeta(toPlainImageMeta(file.media.meta), req.body.alt, req.body.caption);
+      media.push(await Media.findByIdAndUpdate(
+        file.media._id,
+        { $set: { meta, tags } },
+        { new: true, runValidators: true }
+      ));
+    }
+    
+    console.log(`🖼️ ${req.user.username} uploaded ${media.length} file(s) to the media library`);
+    res.status(201).json({ message: "Media uploaded successfully", media });
+  } catch (err) {
+    console.error("Error uploading media:", err);
+    res.status(500).json({ message: "Error uploading media", error: err.message });
+  }
+});
 
-    // Update simple fields
-    const scalarFields = ['title', 'content', 'category', 'subcategory', 'author', 'status'];
-    scalarFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        updatedData[field] = req.body[field];
-      }
+// List / search the media library
+app.get("/api/media", authenticateToken, async (req, res) => {
+  try {
+    const { q, tags, source, limit, skip } = req.query;
+    const query = {};
+    
+    if (q && q.trim()) {
+      const pattern = new RegExp(escapeRegExp(q.trim()), 'i');
+      query.$or = [
+        { originalName: pattern },
+        { 'meta.alt': pattern },
+        { 'meta.caption': pattern },
+        { tags: pattern }
+      ];
+    }
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : tags.split(',').map(t => t.trim());
+      query.tags = { $in: tagArray };
+    }
+    if (source) query.source = source;
+    
+    const parsedLimit = Math.min(Math.max(parseInt(limit) || 24, 1), 100);
+    const parsedSkip = Math.max(parseInt(skip) || 0, 0);
+    
+    const [media, total] = await Promise.all([
+      Media.find(query)
+        .sort({ createdAt: -1 })
+        .skip(parsedSkip)
+        .limit(parsedLimit)
+        .lean(),
+      Media.countDocuments(query)
+    ]);
+    
+    res.json({
+      media: await withMediaUsage(media),
+      total,
+      limit: parsedLimit,
+      skip: parsedSkip
     });
+  } catch (err) {
+    console.error("Error fetching media:", err);
+    res.status(500).json({ message: "Error fetching media", error: err.message });
+  }
+});
 
-    // Apply updates
-    const updatedBlog = await Blog.findByIdAndUpdate(
-      id,
-      updatedData,
-      { new: true, runValidators: true }
-    );
+// Report stored assets no blog or revision references (Admin/SuperAdmin only)
+// Only assets older than `olderThanDays` count, so in-progress uploads are left alone.
+const findOrphanedMedia = async ({ olderThanDays = 7, includeLibrary = false } = {}) => {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000);
+  const [files, referenced, mediaDocs] = await Promise.all([
+    mediaStorage.listFiles(),
+    getAllReferencedPublicIds(),
+    Media.find({}).select('publicId source').lean()
+  ]);
+  const sourceByPublicId = new Map(mediaDocs.map(doc => [doc.publicId, doc.source]));
+  
+  return files
+    .filter(file => file.createdAt <= cutoff && !referenced.has(file.publicId))
+    .map(file => ({ ...file, source: sourceByPublicId.get(file.publicId) || 'untracked' }))
+    .filter(file => includeLibrary || file.source !== 'library');
+};
 
-    if (!updatedBlog) {
-      return res.status(404).json({ message: 'Blog not found after update' });
+app.get("/api/media/orphans", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const orphans = await findOrphanedMedia({
+      olderThanDays: parseInt(req.query.olderThanDays) || 7,
+      includeLibrary: req.query.includeLibrary === 'true'
+    });
+    
+    res.json({
+      orphans,
+      total: orphans.length,
+      totalBytes: orphans.reduce((sum, file) => sum + (file.bytes || 0), 0)
+    });
+  } catch (err) {
+    console.error("Error finding orphaned media:", err);
+    res.status(500).json({ message: "Error finding orphaned media", error: err.message });
+  }
+});
+
+// Purge orphaned assets from storage (Admin/SuperAdmin only)
+app.post("/api/media/orphans/purge", authenticateToken, requireRole(['admin', 'superadmin']), async (req, res) => {
+  try {
+    const { olderThanDays, includeLibrary, dryRun } = req.body;
+    const orphans = await findOrphanedMedia({
+      olderThanDays: parseInt(olderThanDays) || 7,
+      includeLibrary: includeLibrary === true || includeLibrary === 'true'
+    });
+    
+    if (dryRun === true || dryRun === 'true') {
+      return res.json({ message: `${orphans.length} orphaned asset(s) would be purged`, dryRun: true, orphans });
+    }
+    
+    const purged = [];
+    for (const orphan of orphans) {
+      // Re-check right before deleting in case a post picked it up meanwhile
+      if (await isImageReferenced(orphan.publicId)) continue;
+      await deleteStoredImage(orphan.publicId);
+      purged.push(orphan.publicId);
     }
+    
+    console.log(`🧹 ${req.user.username} purged ${purged.length} orphaned asset(s)`);
+    res.json({ message: `Purged ${purged.length} orphaned asset(s)`, purged });
+  } catch (err) {
+    console.error("Error purging orphaned media:", err);
+    res.status(500).json({ message: "Error purging orphaned media", error: err.message });
+  }
+});
 
-    return res.json({ message: 'Blog updated successfully', blog: updatedBlog });
+// Get a media asset with the posts that use it
+app.get("/api/media/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid media ID format" });
+    }
     
+    const media = await Media.findById(id).lean();
+    if (!media) return res.status(404).json({ message: "Media not found" });
+    
+    const [usage, blogs] = await Promise.all([
+      countImageReferences(media.publicId),
+      Blog.find(imageReferenceQuery(media.publicId)).select('title slug').lean()
+    ]);
+    
+    res.json({ ...media, usage, blogs });
   } catch (err) {
-    console.error('Error updating blog:', err);
+    console.error("Error fetching media:", err);
+    res.status(500).json({ message: "Error fetching media", error: err.message });
+  }
+});
+
+// Delete a media asset - refused while any blog or revision references it
+app.delete("/api/media/:id", authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid media ID format" });
+    }
     
-    if (err?.code === 11000 && err?.keyPattern?.slug) {
+    const media = await Media.findById(id);
+    if (!media) return res.status(404).json({ message: "Media not found" });
+    
+    const isUploader = media.uploadedBy?.id && media.uploadedBy.id.toString() === req.user.id;
+    if (!isUploader && !['admin', 'superadmin'].includes(req.user.role)) {
+      return res.status(403).json({ message: "Access Denied: Insufficient permissions" });
+    }
+    
+    const usage = await countImageReferences(media.publicId);
+    if (usage.total > 0) {
       return res.status(409).json({ 
-        message: 'A blog with a similar title/slug already exists',
-        error: err.message
+        message: "Media is still in use and cannot be deleted", 
+        usage 
       });
     }
     
-    if (err?.name === 'ValidationError') {
-      const errors = Object.values(err.errors).map(e => e.message);
-      return res.status(400).json({ 
-        message: 'Validation failed', 
-        errors,
-        error: err.message
-      });
+    await deleteStoredImage(media.publicId);
+    res.json({ message: "Media deleted successfully" });
+  } catch (err) {
+    console.error("Error deleting media:", err);
+    res.status(500).json({ message: "Error deleting media", error: err.message });
+  }
+});
+
+// ================ REVISION HISTORY ENDPOINTS ================
+// List revisions of a blog (newest first, without full content)
+app.get("/api/blogs/:id/revisions", authenticateToken, requireBlogOwnership(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid Blog ID format" });
     }
     
-    return res.status(500).json({ 
-      message: 'Error updating blog', 
-      error: err.message 
-    });
+    const parsedLimit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const parsedSkip = Math.max(parseInt(req.query.skip) || 0, 0);
+    
+    const [revisions, total] = await Promise.all([
+      BlogRevision.find({ blog: id })
+        .select('-snapshot.content -snapshot.courses -snapshot.courseImagesData')
+        .sort({ revisionNumber: -1 })
+        .skip(parsedSkip)
+        .limit(parsedLimit)
+        .lean(),
+      BlogRevision.countDocuments({ blog: id })
+    ]);
+    
+    res.json({ revisions, total, limit: parsedLimit, skip: parsedSkip });
+  } catch (err) {
+    console.error("Error fetching revisions:", err);
+    res.status(500).json({ message: "Error fetching revisions", error: err.message });
   }
 });
 
-// ✅ Delete a blog WITH ALL IMAGE CLEANUP INCLUDING COURSES
-app.delete("/api/blogs/:id", authenticateToken, async (req, res) => {
+// Field-level diff between two revisions (`to` defaults to the current version)
+app.get("/api/blogs/:id/revisions/diff", authenticateToken, requireBlogOwnership(), async (req, res) => {
   try {
-    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    const { id } = req.params;
+    const { from, to = 'current' } = req.query;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({ message: "Invalid Blog ID format" });
     }
+    if (!from) {
+      return res.status(400).json({ message: "The 'from' revision ID is required" });
+    }
     
-    const blogToDelete = await Blog.findById(req.params.id);
-    if (!blogToDelete)
-      return res.status(404).json({ message: "Blog not found" });
+    const loadSide = async (revisionId) => {
+      if (revisionId === 'current') {
+        const blog = await Blog.findById(id).lean();
+        return blog ? { label: 'current', snapshot: blog } : null;
+      }
+      if (!mongoose.Types.ObjectId.isValid(revisionId)) return null;
+      const revision = await BlogRevision.findOne({ _id: revisionId, blog: id }).lean();
+      return revision
+        ? { label: revision._id, revisionNumber: revision.revisionNumber, snapshot: revision.snapshot }
+        : null;
+    };
     
-    // Delete all images associated with the blog
-    await deleteAllBlogImages(blogToDelete);
+    const [fromSide, toSide] = await Promise.all([loadSide(from), loadSide(to)]);
+    if (!fromSide || !toSide) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
     
-    await Blog.findByIdAndDelete(req.params.id);
-    console.log("✅ Blog and all associated images deleted successfully");
+    res.json({
+      from: { id: fromSide.label, revisionNumber: fromSide.revisionNumber },
+      to: { id: toSide.label, revisionNumber: toSide.revisionNumber },
+      changes: diffSnapshots(fromSide.snapshot, toSide.snapshot)
+    });
+  } catch (err) {
+    console.error("Error diffing revisions:", err);
+    res.status(500).json({ message: "Error diffing revisions", error: err.message });
+  }
+});
+
+// Get a single revision with its full snapshot
+app.get("/api/blogs/:id/revisions/:revisionId", authenticateToken, requireBlogOwnership(), async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
     
-    res.json({ message: "Blog and associated images deleted successfully" });
+    const revision = await BlogRevision.findOne({ _id: revisionId, blog: id });
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+    
+    res.json(revision);
   } catch (err) {
-    console.error("Error deleting blog:", err);
-    res.status(500).json({ message: "Error deleting blog", error: err.message });
+    console.error("Error fetching revision:", err);
+    res.status(500).json({ message: "Error fetching revision", error: err.message });
+  }
+});
+
+// Restore an old revision as the current version
+app.post("/api/blogs/:id/revisions/:revisionId/restore", authenticateToken, requireBlogOwnership(), async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+    
+    const [existingBlog, revision] = await Promise.all([
+      Blog.findById(id),
+      BlogRevision.findOne({ _id: revisionId, blog: id }).lean()
+    ]);
+    if (!existingBlog) return res.status(404).json({ message: "Blog not found" });
+    if (!revision) return res.status(404).json({ message: "Revision not found" });
+    
+    const restoredData = {};
+    RESTORABLE_FIELDS.forEach(field => {
+      if (revision.snapshot[field] !== undefined) {
+        restoredData[field] = revision.snapshot[field];
+      }
+    });
+    
+    // Revisions may predate sanitization and the excerpt fields
+    if (restoredData.content !== undefined) {
+      restoredData.content = sanitizeBlogContent(restoredData.content).html;
+      Object.assign(restoredData, applyContentStats({
+        content: restoredData.content,
+        excerptInput: revision.snapshot.customExcerpt ? revision.snapshot.excerpt : '',
+        existingBlog
+      }));
+    }
+    
+    // The category may have been renamed or removed since; keep the post on a managed one
+    const restoredCategory = await findCategory(revision.snapshot.categoryId || revision.snapshot.category);
+    if (restoredCategory) {
+      restoredData.category = restoredCategory.name;
+      restoredData.categoryId = restoredCategory._id;
+    } else {
+      delete restoredData.category;
+      delete restoredData.categoryId;
+    }
+    
+    const updatedBlog = await Blog.findByIdAndUpdate(
+      id,
+      restoredData,
+      { new: true, runValidators: true }
+    );
+    if (!updatedBlog) return res.status(404).json({ message: "Blog not found" });
+    invalidateRelatedPostsCache();
+    
+    // Keep the version that was replaced, so the restore itself can be undone
+    await createBlogRevision(existingBlog, req.user, {
+      changeType: 'restore',
+      restoredFrom: revision._id
+    });
+    
+    console.log(`♻️ Blog ${id} restored to revision ${revision.revisionNumber} by ${req.user.username}`);
+    res.json({
+      message: `Blog restored to revision ${revision.revisionNumber}`,
+      blog: updatedBlog
+    });
+  } catch (err) {
+    console.error("Error restoring revision:", err);
+    
+    if (err?.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(e => e.message);
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    
+    res.status(500).json({ message: "Error restoring revision", error: err.message });
   }
 });
 
 // ✅ Start the blog server
 const PORT = process.env.BLOG_PORT || 5002;
-app.listen(PORT, () => console.log(`🚀 Blog server running on port ${PORT}`));
+if (require.main === module) {
+  app.listen(PORT, () => console.log(`🚀 Blog server running on port ${PORT}`));
+}
+
+// Exposed for the tests in test/
+module.exports = {
+  app,
+  applyContentStats,
+  buildBulkQuery,
+  createBlogRevision,
+  detectImageFormat,
+  findUniqueCategorySlug,
+  highlightTerms,
+  importBlogRecord,
+  isPrivateAddress,
+  mediaStorage,
+  normalizeCategoryKey,
+  parseImageHostsInput,
+  parseMarkdownRecord,
+  parseSeoInput,
+  parseWxr,
+  readImportRecords,
+  rehostRemoteImage,
+  renderMarkdownRecord,
+  sanitizeBlogContent
+};
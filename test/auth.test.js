@@ -0,0 +1,163 @@
+const { test, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { startServer } = require("./helpers");
+
+const Session = mongoose.model("Session");
+const User = mongoose.model("User");
+const PasswordResetToken = mongoose.model("PasswordResetToken");
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+const future = () => new Date(Date.now() + 60 * 60 * 1000);
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+const user = { _id: userId, username: "editor", email: "editor@example.com", role: "user", isActive: true };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = await startServer();
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+afterEach(() => mock.restoreAll());
+
+const request = async (method, path, { body, token } = {}) => {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+// authenticateToken loads the session with findById().select().populate()
+const stubSessionLookup = (session) => mock.method(Session, "findById", () => ({
+  select: () => ({ populate: async () => session })
+}));
+
+const signToken = (claims = {}) => jwt.sign(
+  { id: userId, username: user.username, role: user.role, sid: sessionId, ...claims },
+  process.env.JWT_SECRET,
+  { expiresIn: "15m" }
+);
+
+test("refresh rotates the token pair and the new access token authenticates", async () => {
+  mock.method(Session, "findOne", async () => ({ _id: sessionId, user: userId, revokedAt: null, expiresAt: future() }));
+  mock.method(User, "findById", async () => user);
+  const rotate = mock.method(Session, "findOneAndUpdate", async () => ({ _id: sessionId }));
+
+  const refreshed = await request("POST", "/api/auth/refresh", { body: { refreshToken: "old-token" } });
+  assert.equal(refreshed.status, 200);
+  assert.notEqual(refreshed.body.refreshToken, "old-token");
+
+  const [filter, update] = rotate.mock.calls[0].arguments;
+  assert.equal(filter.refreshTokenHash, sha256("old-token"));
+  assert.equal(update.$set.previousTokenHash, sha256("old-token"));
+  assert.equal(update.$set.refreshTokenHash, sha256(refreshed.body.refreshToken));
+
+  stubSessionLookup({ user: { isActive: true, role: "user" }, revokedAt: null, expiresAt: future() });
+  const validated = await request("GET", "/api/auth/validate-token", { token: refreshed.body.token });
+  assert.equal(validated.status, 200);
+  assert.equal(validated.body.username, "editor");
+});
+
+test("refresh that loses a rotation race revokes the session", async () => {
+  mock.method(console, "warn", () => {});
+  mock.method(Session, "findOne", async () => ({ _id: sessionId, user: userId, revokedAt: null, expiresAt: future() }));
+  mock.method(User, "findById", async () => user);
+  mock.method(Session, "findOneAndUpdate", async () => null);
+  const revoke = mock.method(Session, "updateOne", async () => ({ modifiedCount: 1 }));
+
+  const res = await request("POST", "/api/auth/refresh", { body: { refreshToken: "old-token" } });
+  assert.equal(res.status, 401);
+  assert.equal(revoke.mock.callCount(), 1);
+  assert.equal(revoke.mock.calls[0].arguments[1].$set.revokedReason, "refresh_token_reuse");
+});
+
+test("replaying a rotated-out refresh token revokes its session", async () => {
+  mock.method(console, "warn", () => {});
+  mock.method(Session, "findOne", async () => null);
+  const revoke = mock.method(Session, "findOneAndUpdate", async () => ({ _id: sessionId }));
+
+  const res = await request("POST", "/api/auth/refresh", { body: { refreshToken: "stale-token" } });
+  assert.equal(res.status, 401);
+  assert.equal(revoke.mock.calls[0].arguments[0].previousTokenHash, sha256("stale-token"));
+});
+
+test("refresh requires a token", async () => {
+  const res = await request("POST", "/api/auth/refresh", { body: {} });
+  assert.equal(res.status, 400);
+});
+
+test("authenticateToken rejects a revoked session", async () => {
+  stubSessionLookup({ user: { isActive: true, role: "user" }, revokedAt: new Date(), expiresAt: future() });
+  const res = await request("GET", "/api/auth/validate-token", { token: signToken() });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "SESSION_REVOKED");
+});
+
+test("authenticateToken rejects an inactive account", async () => {
+  stubSessionLookup({ user: { isActive: false, role: "user" }, revokedAt: null, expiresAt: future() });
+  const res = await request("GET", "/api/auth/validate-token", { token: signToken() });
+  assert.equal(res.status, 403);
+});
+
+test("authenticateToken rejects missing and expired tokens", async () => {
+  const missing = await request("GET", "/api/auth/validate-token");
+  assert.equal(missing.status, 401);
+
+  const expired = jwt.sign({ id: userId, sid: sessionId, exp: Math.floor(Date.now() / 1000) - 10 }, process.env.JWT_SECRET);
+  const res = await request("GET", "/api/auth/validate-token", { token: expired });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "TOKEN_EXPIRED");
+});
+
+test("authenticateToken rejects a token issued before the password changed", async () => {
+  const issuedAt = Math.floor(Date.now() / 1000) - 60;
+  stubSessionLookup({
+    user: { isActive: true, role: "user", passwordChangedAt: new Date((issuedAt + 30) * 1000) },
+    revokedAt: null,
+    expiresAt: future()
+  });
+  const res = await request("GET", "/api/auth/validate-token", { token: signToken({ iat: issuedAt }) });
+  assert.equal(res.status, 401);
+  assert.equal(res.body.code, "SESSION_REVOKED");
+});
+
+test("authenticateToken accepts a token issued after the password changed", async () => {
+  stubSessionLookup({
+    user: { isActive: true, role: "user", passwordChangedAt: new Date() },
+    revokedAt: null,
+    expiresAt: future()
+  });
+  mock.method(User, "findById", async () => user);
+  const res = await request("GET", "/api/auth/validate-token", { token: signToken() });
+  assert.equal(res.status, 200);
+});
+
+test("forgot-password answers generically when mail is not configured", async () => {
+  const mailTransport = process.env.MAIL_TRANSPORT;
+  delete process.env.MAIL_TRANSPORT;
+  mock.method(console, "error", () => {});
+  mock.method(User, "findOne", async () => user);
+  mock.method(PasswordResetToken, "updateMany", async () => ({ modifiedCount: 0 }));
+  mock.method(PasswordResetToken, "create", async () => ({}));
+
+  try {
+    const res = await request("POST", "/api/auth/forgot-password", { body: { email: user.email } });
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /If an account with that email exists/);
+    assert.match(console.error.mock.calls[0].arguments[1].message, /MAIL_TRANSPORT is not configured/);
+  } finally {
+    process.env.MAIL_TRANSPORT = mailTransport;
+  }
+});
@@ -0,0 +1,74 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { buildBulkQuery, startServer } = require("./helpers");
+
+const Session = mongoose.model("Session");
+
+const blogId = "64b7f0c2a1b2c3d4e5f60718";
+
+test("buildBulkQuery selects explicit ids", () => {
+  assert.deepEqual(buildBulkQuery({ ids: [blogId] }), { query: { _id: { $in: [blogId] } }, error: null });
+});
+
+test("buildBulkQuery rejects ids that are not 24-character hex strings", () => {
+  assert.match(buildBulkQuery({ ids: ["abcdefghijkl"] }).error, /Invalid blog ID/);
+  assert.match(buildBulkQuery({ ids: [{ $ne: null }] }).error, /Invalid blog ID/);
+  assert.match(buildBulkQuery({ ids: [12345] }).error, /Invalid blog ID/);
+});
+
+test("buildBulkQuery maps filter criteria onto blog fields", () => {
+  const { query, error } = buildBulkQuery({
+    filter: { category: "SAP", tag: "abap", authorId: blogId, status: "Featured", publicationStatus: "draft" }
+  });
+  assert.equal(error, null);
+  assert.deepEqual(query, {
+    category: "SAP",
+    tags: "abap",
+    authorId: blogId,
+    status: "Featured",
+    publicationStatus: "draft"
+  });
+});
+
+test("buildBulkQuery refuses operator objects and arrays in a filter", () => {
+  assert.match(buildBulkQuery({ filter: { category: { $ne: null } } }).error, /'category' must be a string/);
+  assert.match(buildBulkQuery({ filter: { tag: ["a", "b"] } }).error, /'tag' must be a string/);
+});
+
+test("buildBulkQuery validates authorId and status values", () => {
+  assert.match(buildBulkQuery({ filter: { authorId: "someone" } }).error, /valid user ID/);
+  assert.match(buildBulkQuery({ filter: { status: "Viral" } }).error, /'status' must be one of/);
+  assert.match(buildBulkQuery({ filter: { publicationStatus: "live" } }).error, /'publicationStatus' must be one of/);
+});
+
+test("buildBulkQuery never selects everything", () => {
+  assert.match(buildBulkQuery({}).error, /non-empty 'ids' array or a 'filter'/);
+  assert.match(buildBulkQuery({ ids: [], filter: { category: "" } }).error, /non-empty/);
+});
+
+test("export refuses operator objects in its query string", async (t) => {
+  const server = await startServer();
+  t.after(async () => {
+    mock.restoreAll();
+    await server.close();
+  });
+  mock.method(Session, "findById", () => ({
+    select: () => ({
+      populate: async () => ({ user: { isActive: true, role: "admin" }, revokedAt: null, expiresAt: new Date(Date.now() + 60000) })
+    })
+  }));
+  const token = jwt.sign(
+    { id: new mongoose.Types.ObjectId(), username: "admin", role: "admin", sid: new mongoose.Types.ObjectId() },
+    process.env.JWT_SECRET
+  );
+  const headers = { Authorization: `Bearer ${token}` };
+
+  const injected = await fetch(`${server.baseUrl}/api/export/blogs?category[$ne]=x`, { headers });
+  assert.equal(injected.status, 400);
+  assert.match((await injected.json()).message, /'category' must be a string/);
+
+  const badIds = await fetch(`${server.baseUrl}/api/export/blogs?ids=abcdefghijkl`, { headers });
+  assert.equal(badIds.status, 400);
+});
@@ -0,0 +1,39 @@
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { findUniqueCategorySlug, normalizeCategoryKey } = require("./helpers");
+
+const Category = mongoose.model("Category");
+
+afterEach(() => mock.restoreAll());
+
+test("normalizeCategoryKey merges spelling variants of the same name", () => {
+  assert.equal(normalizeCategoryKey("S.A.P"), normalizeCategoryKey("sap"));
+  assert.equal(normalizeCategoryKey("Data Science"), normalizeCategoryKey("data-science"));
+  assert.equal(normalizeCategoryKey("Power_BI"), normalizeCategoryKey("power bi"));
+});
+
+test("normalizeCategoryKey keeps meaningful symbols apart", () => {
+  const keys = ["C", "C++", "C#"].map(normalizeCategoryKey);
+  assert.equal(new Set(keys).size, 3);
+});
+
+test("findUniqueCategorySlug adds a counter when the slug is taken", async () => {
+  const taken = new Set(["c", "c-2"]);
+  mock.method(Category, "exists", async (query) => (taken.has(query.slug) ? { _id: query.slug } : null));
+
+  assert.equal(await findUniqueCategorySlug("C"), "c-3");
+  assert.equal(await findUniqueCategorySlug("Data Science"), "data-science");
+});
+
+test("findUniqueCategorySlug falls back when a name has no slug characters", async () => {
+  mock.method(Category, "exists", async () => null);
+  assert.equal(await findUniqueCategorySlug("++"), "category");
+});
+
+test("findUniqueCategorySlug ignores the category being renamed", async () => {
+  const ownId = new mongoose.Types.ObjectId();
+  const exists = mock.method(Category, "exists", async () => null);
+  await findUniqueCategorySlug("SAP", ownId);
+  assert.deepEqual(exists.mock.calls[0].arguments[0], { slug: "sap", _id: { $ne: ownId } });
+});
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { applyContentStats, sanitizeBlogContent } = require("./helpers");
+
+test("sanitizeBlogContent removes scripts and event handlers and reports them", () => {
+  const { html, report } = sanitizeBlogContent('<p onclick="steal()">Hi<script>alert(1)</script></p>');
+  assert.equal(html, "<p>Hi</p>");
+  assert.deepEqual(report.strippedTags, { script: 1 });
+  assert.deepEqual(report.strippedAttributes, { "p[onclick]": 1 });
+});
+
+test("sanitizeBlogContent drops javascript: links", () => {
+  const { html, report } = sanitizeBlogContent('<a href="javascript:alert(1)">x</a>');
+  assert.equal(html, "<a>x</a>");
+  assert.deepEqual(report.strippedAttributes, { "a[href] (unsafe URL)": 1 });
+});
+
+test("sanitizeBlogContent adds rel=noopener to external links only", () => {
+  const { html } = sanitizeBlogContent(
+    '<a href="https://example.com/x" rel="nofollow">x</a><a href="https://connectingdotserp.com/a">y</a>'
+  );
+  assert.equal(
+    html,
+    '<a href="https://example.com/x" rel="nofollow noopener">x</a><a href="https://connectingdotserp.com/a">y</a>'
+  );
+});
+
+test("sanitizeBlogContent keeps video embeds and removes other iframes", () => {
+  const { html, report } = sanitizeBlogContent(
+    '<iframe src="https://evil.example/x"></iframe><iframe src="https://www.youtube.com/embed/abc"></iframe>'
+  );
+  assert.equal(html, '<iframe src="https://www.youtube.com/embed/abc"></iframe>');
+  assert.deepEqual(report.strippedAttributes, { "iframe[src] (host not allowed)": 1 });
+});
+
+test("sanitizeBlogContent leaves allowed markup untouched", () => {
+  const input = '<h2 id="intro">Intro</h2><p><strong>Bold</strong> <img src="/a.png" alt="a" /></p>';
+  const { html, report } = sanitizeBlogContent(input);
+  assert.equal(html, input);
+  assert.deepEqual(report, { strippedTags: {}, strippedAttributes: {} });
+});
+
+test("applyContentStats derives excerpt, word count and reading time from new content", () => {
+  const content = `<p>${"word ".repeat(450).trim()}</p>`;
+  const data = applyContentStats({ content });
+  assert.equal(data.wordCount, 450);
+  assert.equal(data.readingTimeMinutes, 3);
+  assert.equal(data.customExcerpt, false);
+  assert.ok(data.excerpt.endsWith("…"));
+  assert.ok(data.excerpt.length <= 161);
+});
+
+test("applyContentStats keeps a short post whole and strips markup from the excerpt", () => {
+  const data = applyContentStats({ content: "<h2>Hello</h2><p>Tom &amp; Jerry</p>" });
+  assert.equal(data.excerpt, "Hello Tom & Jerry");
+  assert.equal(data.wordCount, 4);
+  assert.equal(data.readingTimeMinutes, 1);
+});
+
+test("applyContentStats stores a custom excerpt as plain text", () => {
+  const data = applyContentStats({ content: "<p>Body</p>", excerptInput: "<b>Custom</b> summary" });
+  assert.equal(data.excerpt, "Custom summary");
+  assert.equal(data.customExcerpt, true);
+});
+
+test("applyContentStats keeps a custom excerpt when only the content changes", () => {
+  const existingBlog = { content: "<p>Old</p>", excerpt: "Mine", customExcerpt: true };
+  const data = applyContentStats({ content: "<p>New text</p>", existingBlog });
+  assert.equal(data.wordCount, 2);
+  assert.equal(data.excerpt, undefined);
+});
+
+test("applyContentStats regenerates the excerpt when a custom one is cleared", () => {
+  const existingBlog = { content: "<p>Current body</p>", excerpt: "Mine", customExcerpt: true };
+  const data = applyContentStats({ excerptInput: "", existingBlog });
+  assert.equal(data.excerpt, "Current body");
+  assert.equal(data.customExcerpt, false);
+  assert.equal(data.wordCount, undefined);
+});
+
+test("applyContentStats reports zero for empty content", () => {
+  const data = applyContentStats({ content: "" });
+  assert.equal(data.wordCount, 0);
+  assert.equal(data.readingTimeMinutes, 0);
+  assert.equal(data.excerpt, "");
+});
@@ -0,0 +1,33 @@
+const os = require("os");
+const path = require("path");
+
+// blogsPanel.js reads its configuration at require time
+process.env.NODE_ENV = "test";
+process.env.MONGO_URI = process.env.MONGO_URI || "mongodb://127.0.0.1:1/blogs-test";
+process.env.JWT_SECRET = "test-secret";
+process.env.MEDIA_STORAGE = "local";
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), "blogs-test-uploads");
+process.env.MAIL_TRANSPORT = "console";
+
+// The request logger is noisy under test
+const log = console.log;
+console.log = () => {};
+const panel = require("../blogsPanel");
+console.log = log;
+
+// Helper function to serve the app on an ephemeral port (console.log stays muted while it runs)
+const startServer = async () => {
+  const consoleLog = console.log;
+  console.log = () => {};
+  const server = panel.app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: async () => {
+      console.log = consoleLog;
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+};
+
+module.exports = { ...panel, startServer };
@@ -0,0 +1,140 @@
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const AdmZip = require("adm-zip");
+const mongoose = require("mongoose");
+const {
+  importBlogRecord,
+  parseMarkdownRecord,
+  readImportRecords,
+  renderMarkdownRecord
+} = require("./helpers");
+
+const Blog = mongoose.model("Blog");
+const BlogRevision = mongoose.model("BlogRevision");
+const Category = mongoose.model("Category");
+const Subcategory = mongoose.model("Subcategory");
+const Media = mongoose.model("Media");
+
+afterEach(() => mock.restoreAll());
+
+const zipFile = (entries) => {
+  const zip = new AdmZip();
+  entries.forEach(([name, data]) => zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data)));
+  return { originalname: "posts.zip", mimetype: "application/zip", buffer: zip.toBuffer() };
+};
+
+test("parseMarkdownRecord reads what renderMarkdownRecord writes", () => {
+  const record = {
+    title: "Intro: SAP \"basics\"",
+    slug: "sap-basics",
+    tags: ["sap", "erp"],
+    seo: { noindex: true },
+    content: "<p>Hello</p>\n<p>World</p>"
+  };
+  assert.deepEqual(parseMarkdownRecord(renderMarkdownRecord(record)), record);
+});
+
+test("parseMarkdownRecord accepts hand-written front matter", () => {
+  const record = parseMarkdownRecord("---\r\ntitle: 'Hand written'\r\nslug: hand-written\r\n---\r\n\r\nBody text\r\n");
+  assert.equal(record.title, "Hand written");
+  assert.equal(record.slug, "hand-written");
+  assert.equal(record.content, "Body text");
+});
+
+test("parseMarkdownRecord requires front matter", () => {
+  assert.throws(() => parseMarkdownRecord("# Just markdown"), /Missing front matter/);
+});
+
+test("readImportRecords reports bad NDJSON lines without dropping the rest", () => {
+  const entries = readImportRecords({
+    originalname: "posts.ndjson",
+    mimetype: "application/x-ndjson",
+    buffer: Buffer.from('{"title":"One"}\n\nnot json\n{"title":"Two"}\n')
+  });
+  assert.deepEqual(entries.map(entry => entry.line), [1, 3, 4]);
+  assert.equal(entries[0].record.title, "One");
+  assert.match(entries[1].error, /Invalid JSON/);
+});
+
+test("readImportRecords reads Markdown posts from a zip", () => {
+  const entries = readImportRecords(zipFile([
+    ["posts/a.md", renderMarkdownRecord({ title: "A", content: "a" })],
+    ["manifest.json", "{}"]
+  ]));
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].record.title, "A");
+});
+
+test("readImportRecords refuses oversized zip entries before inflating them", () => {
+  const bomb = zipFile([["posts/bomb.md", Buffer.alloc(6 * 1024 * 1024)]]);
+  assert.ok(bomb.buffer.length < 64 * 1024);
+  assert.throws(() => readImportRecords(bomb), /unpacks to \d+ bytes/);
+});
+
+test("readImportRecords refuses archives with too many posts", () => {
+  const entries = Array.from({ length: 1001 }, (_, index) => [`posts/${index}.md`, "---\n---\n"]);
+  assert.throws(() => readImportRecords(zipFile(entries)), /1001 records/);
+});
+
+// importBlogRecord with the lookups it makes stubbed out
+const admin = { id: new mongoose.Types.ObjectId().toString(), username: "admin" };
+const record = (fields = {}) => ({
+  title: "SAP Basics",
+  slug: "sap-basics",
+  content: "<p>Body</p>",
+  category: "SAP",
+  subcategory: "Tutorial",
+  ...fields
+});
+
+const stubLookups = (blogsBySlug, blogsByPreviousSlug = {}) => {
+  const category = { _id: new mongoose.Types.ObjectId(), name: "SAP" };
+  mock.method(Category, "findOne", () => ({ collation: async () => category }));
+  mock.method(Subcategory, "findOne", () => ({ collation: async () => ({ name: "Tutorial" }) }));
+  mock.method(Blog, "findOne", async (query) => {
+    if (query.$or) return blogsBySlug[query.$or[0].slug] || blogsByPreviousSlug[query.$or[1]["previousSlugs.slug"]] || null;
+    if (query.slug) return blogsBySlug[query.slug] || null;
+    return blogsByPreviousSlug[query["previousSlugs.slug"]] || null;
+  });
+};
+
+test("importBlogRecord renames instead of overwriting a post that only used the slug before", async () => {
+  const renamedPost = new Blog({ ...record({ slug: "sap-fundamentals" }), author: "admin", previousSlugs: [{ slug: "sap-basics" }] });
+  stubLookups({ "sap-fundamentals": renamedPost }, { "sap-basics": renamedPost });
+
+  const result = await importBlogRecord(record(), { onConflict: "overwrite", dryRun: true, user: admin });
+  assert.equal(result.result, "would-rename");
+  assert.equal(result.slug, "sap-basics-1");
+  assert.match(result.notes.join(" "), /old URL of "sap-fundamentals"/);
+});
+
+test("importBlogRecord overwrite keeps unchanged images and releases replaced ones", async () => {
+  const existing = new Blog({
+    ...record(),
+    author: "admin",
+    image: "https://cdn.example.com/hero.png",
+    imagePublicId: "blog-images/hero",
+    bannerImage: "https://cdn.example.com/old-banner.png",
+    bannerImagePublicId: "blog-images/old-banner"
+  });
+  stubLookups({ "sap-basics": existing });
+  mock.method(existing, "save", async function () { return this; });
+  mock.method(BlogRevision, "findOne", () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+  mock.method(BlogRevision, "create", async (doc) => doc);
+  mock.method(Blog, "countDocuments", async () => 0);
+  mock.method(BlogRevision, "countDocuments", async () => 0);
+  mock.method(Category, "countDocuments", async () => 0);
+  mock.method(Media, "exists", async () => null);
+  const removed = mock.method(Media, "deleteOne", async () => ({ deletedCount: 1 }));
+  mock.method(console, "log", () => {});
+
+  const result = await importBlogRecord(record({
+    image: "https://cdn.example.com/hero.png",
+    bannerImage: "https://cdn.example.com/new-banner.png"
+  }), { onConflict: "overwrite", dryRun: false, user: admin });
+
+  assert.equal(result.result, "overwritten");
+  assert.equal(existing.imagePublicId, "blog-images/hero");
+  assert.equal(existing.bannerImagePublicId, null);
+  assert.deepEqual(removed.mock.calls.map(call => call.arguments[0].publicId), ["blog-images/old-banner"]);
+});
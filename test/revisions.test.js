@@ -0,0 +1,112 @@
+const { test, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { createBlogRevision, startServer } = require("./helpers");
+
+const Blog = mongoose.model("Blog");
+const BlogRevision = mongoose.model("BlogRevision");
+const Session = mongoose.model("Session");
+
+const blog = { _id: new mongoose.Types.ObjectId(), title: "Post", content: "<p>Body</p>" };
+
+afterEach(() => mock.restoreAll());
+
+test("createBlogRevision numbers after the newest revision", async () => {
+  mock.method(BlogRevision, "findOne", () => ({ sort: () => ({ select: () => ({ lean: async () => ({ revisionNumber: 4 }) }) }) }));
+  mock.method(BlogRevision, "create", async (doc) => doc);
+
+  const revision = await createBlogRevision(blog, { id: "u1", username: "editor" });
+  assert.equal(revision.revisionNumber, 5);
+  assert.equal(revision.snapshot.title, "Post");
+  assert.deepEqual(revision.changedBy, { id: "u1", username: "editor" });
+});
+
+test("createBlogRevision retries when a concurrent save took the same number", async () => {
+  let newest = 4;
+  mock.method(BlogRevision, "findOne", () => ({ sort: () => ({ select: () => ({ lean: async () => ({ revisionNumber: newest }) }) }) }));
+  const create = mock.method(BlogRevision, "create", async (doc) => {
+    if (create.mock.callCount() === 0) {
+      newest = 5; // the other save won revision 5
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    }
+    return doc;
+  });
+
+  const revision = await createBlogRevision(blog, null);
+  assert.equal(create.mock.callCount(), 2);
+  assert.equal(revision.revisionNumber, 6);
+});
+
+test("createBlogRevision gives up after repeated duplicate numbers", async () => {
+  mock.method(BlogRevision, "findOne", () => ({ sort: () => ({ select: () => ({ lean: async () => null }) }) }));
+  const create = mock.method(BlogRevision, "create", async () => {
+    throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+  });
+
+  await assert.rejects(createBlogRevision(blog, null), { code: 11000 });
+  assert.equal(create.mock.callCount(), 5);
+});
+
+test("a restore that fails validation leaves no revision behind", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  mock.method(Session, "findById", () => ({
+    select: () => ({
+      populate: async () => ({ user: { isActive: true, role: "admin" }, revokedAt: null, expiresAt: new Date(Date.now() + 60000) })
+    })
+  }));
+  const existing = new Blog({ title: "Post", content: "<p>Body</p>", category: "SAP", subcategory: "Article", author: "editor" });
+  // requireBlogOwnership reads findById().select().lean(); the route awaits findById() directly
+  existing.select = () => ({ lean: async () => ({ authorId: null }) });
+  mock.method(Blog, "findById", () => existing);
+  const revisionId = new mongoose.Types.ObjectId();
+  mock.method(BlogRevision, "findOne", () => ({
+    lean: async () => ({ _id: revisionId, revisionNumber: 1, snapshot: { title: "" } })
+  }));
+  mock.method(Blog, "findByIdAndUpdate", async () => {
+    throw new Blog({}).validateSync();
+  });
+  const create = mock.method(BlogRevision, "create", async (doc) => doc);
+  mock.method(console, "error", () => {});
+
+  const token = jwt.sign({ id: "u1", username: "admin", role: "admin", sid: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  const res = await fetch(`${server.baseUrl}/api/blogs/${existing._id}/revisions/${revisionId}/restore`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` }
+  });
+
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).message, "Validation failed");
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test("revision listing clamps limit and skip", async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+  mock.method(Session, "findById", () => ({
+    select: () => ({
+      populate: async () => ({ user: { isActive: true, role: "admin" }, revokedAt: null, expiresAt: new Date(Date.now() + 60000) })
+    })
+  }));
+  mock.method(Blog, "findById", () => ({ select: () => ({ lean: async () => ({ authorId: null }) }) }));
+  const paging = [];
+  const query = {
+    select: () => query,
+    sort: () => query,
+    skip: (value) => { paging.push(["skip", value]); return query; },
+    limit: (value) => { paging.push(["limit", value]); return query; },
+    lean: async () => []
+  };
+  mock.method(BlogRevision, "find", () => query);
+  mock.method(BlogRevision, "countDocuments", async () => 0);
+
+  const token = jwt.sign({ id: "u1", username: "admin", role: "admin", sid: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  const list = (search) => fetch(`${server.baseUrl}/api/blogs/${blog._id}/revisions?${search}`, {
+    headers: { Authorization: `Bearer ${token}` }
+  }).then(res => res.json());
+
+  assert.deepEqual(await list("limit=-5&skip=-10"), { revisions: [], total: 0, limit: 1, skip: 0 });
+  assert.deepEqual(await list("limit=5000"), { revisions: [], total: 0, limit: 100, skip: 0 });
+  assert.deepEqual(paging, [["skip", 0], ["limit", 1], ["skip", 0], ["limit", 100]]);
+});
@@ -0,0 +1,23 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { highlightTerms } = require("./helpers");
+
+test("highlightTerms marks matches case-insensitively", () => {
+  assert.equal(highlightTerms("Learn SQL joins", ["sql"]), "Learn <mark>SQL</mark> joins");
+});
+
+test("highlightTerms escapes the text around and inside matches", () => {
+  assert.equal(
+    highlightTerms("<b>R&D</b> notes", ["r&d"]),
+    "&lt;b&gt;<mark>R&amp;D</mark>&lt;/b&gt; notes"
+  );
+});
+
+test("highlightTerms never matches inside an entity", () => {
+  assert.equal(highlightTerms("Tom & Jerry", ["amp"]), "Tom &amp; Jerry");
+  assert.equal(highlightTerms("a < b", ["lt"]), "a &lt; b");
+});
+
+test("highlightTerms without terms only escapes", () => {
+  assert.equal(highlightTerms("\"quoted\"", []), "&quot;quoted&quot;");
+});
@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSeoInput } = require("./helpers");
+
+test("parseSeoInput leaves SEO alone when the field is absent", () => {
+  assert.deepEqual(parseSeoInput(undefined), { seo: undefined, error: null });
+});
+
+test("parseSeoInput accepts JSON strings from multipart forms", () => {
+  const { seo, error } = parseSeoInput('{"metaTitle":"  Learn SAP  ","noindex":"true"}');
+  assert.equal(error, null);
+  assert.deepEqual(seo, { metaTitle: "Learn SAP", noindex: true });
+});
+
+test("parseSeoInput rejects malformed input", () => {
+  assert.equal(parseSeoInput("{oops").error, "SEO data must be valid JSON");
+  assert.equal(parseSeoInput([]).error, "SEO data must be an object");
+  assert.equal(parseSeoInput("null").error, "SEO data must be an object");
+});
+
+test("parseSeoInput requires absolute http(s) URLs", () => {
+  assert.match(parseSeoInput({ canonicalUrl: "/relative" }).error, /canonicalUrl must be an absolute http\(s\) URL/);
+  assert.match(parseSeoInput({ ogImage: "javascript:alert(1)" }).error, /ogImage/);
+  assert.equal(parseSeoInput({ ogImage: "https://cdn.example.com/a.png" }).seo.ogImage, "https://cdn.example.com/a.png");
+});
+
+test("parseSeoInput merges into existing overrides and clears blank fields", () => {
+  const existing = { metaTitle: "Old title", metaDescription: "Old description", noindex: true };
+  const { seo } = parseSeoInput({ metaTitle: "New title", metaDescription: "", noindex: false }, existing);
+  assert.deepEqual(seo, { metaTitle: "New title", noindex: false });
+  assert.equal(existing.metaTitle, "Old title");
+});
+
+test("parseSeoInput ignores unknown fields", () => {
+  const { seo } = parseSeoInput({ metaTitle: "T", injected: "x" });
+  assert.deepEqual(seo, { metaTitle: "T" });
+});
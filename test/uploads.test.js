@@ -0,0 +1,125 @@
+const { test, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const { detectImageFormat, startServer } = require("./helpers");
+
+const Session = mongoose.model("Session");
+const Media = mongoose.model("Media");
+
+const uploadFolder = path.join(process.env.UPLOAD_DIR, "blog-images");
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.close());
+
+afterEach(async () => {
+  mock.restoreAll();
+  for (const name of await fs.promises.readdir(uploadFolder)) {
+    await fs.promises.unlink(path.join(uploadFolder, name));
+  }
+});
+
+const pngBytes = () => sharp({
+  create: { width: 4, height: 4, channels: 3, background: { r: 200, g: 0, b: 0 } }
+}).png().toBuffer();
+
+const svgBytes = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="4" height="4"><script>alert(1)</script></svg>');
+
+const uploadMedia = async (bytes, fileName, type) => {
+  mock.method(Session, "findById", () => ({
+    select: () => ({
+      populate: async () => ({ user: { isActive: true, role: "user" }, revokedAt: null, expiresAt: new Date(Date.now() + 60000) })
+    })
+  }));
+  const token = jwt.sign({ id: userId, username: "editor", role: "user", sid: sessionId }, process.env.JWT_SECRET);
+  const form = new FormData();
+  form.append("files", new Blob([bytes], { type }), fileName);
+  const res = await fetch(`${server.baseUrl}/api/media`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test("detectImageFormat maps decodable images to their real extension", async () => {
+  assert.equal(await detectImageFormat(await pngBytes()), "png");
+  assert.equal(await detectImageFormat(await sharp(await pngBytes()).jpeg().toBuffer()), "jpg");
+  assert.equal(await detectImageFormat(await sharp(await pngBytes()).webp().toBuffer()), "webp");
+});
+
+test("detectImageFormat refuses SVG and undecodable bytes", async () => {
+  assert.equal(await detectImageFormat(svgBytes), null);
+  assert.equal(await detectImageFormat(Buffer.from("not an image")), null);
+});
+
+test("uploads with a non-image type or extension are refused up front", async () => {
+  const svg = await uploadMedia(svgBytes, "logo.svg", "image/svg+xml");
+  assert.equal(svg.status, 400);
+
+  const renamed = await uploadMedia(await pngBytes(), "photo.html", "image/png");
+  assert.equal(renamed.status, 400);
+  assert.deepEqual(await fs.promises.readdir(uploadFolder), []);
+});
+
+test("uploads whose bytes are not a readable image are refused and removed", async () => {
+  const res = await uploadMedia(svgBytes, "logo.png", "image/png");
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /not a supported image/);
+  assert.deepEqual(await fs.promises.readdir(uploadFolder), []);
+});
+
+test("stored uploads take their extension from the detected format", async () => {
+  const register = mock.method(Media, "findOneAndUpdate", async () => ({ _id: new mongoose.Types.ObjectId(), meta: null }));
+  mock.method(Media, "findByIdAndUpdate", async (id, update) => ({ _id: id, ...update.$set }));
+
+  const jpeg = await sharp(await pngBytes()).jpeg().toBuffer();
+  const res = await uploadMedia(jpeg, "photo.png", "image/png");
+  assert.equal(res.status, 201);
+
+  const publicId = register.mock.calls[0].arguments[0].publicId;
+  assert.match(publicId, /^blog-images\/\d+-photo\.jpg$/);
+  assert.ok(fs.existsSync(path.join(process.env.UPLOAD_DIR, publicId)));
+});
+
+test("a rejected blog update removes the images it uploaded", async () => {
+  mock.method(Session, "findById", () => ({
+    select: () => ({
+      populate: async () => ({ user: { isActive: true, role: "user" }, revokedAt: null, expiresAt: new Date(Date.now() + 60000) })
+    })
+  }));
+  const Blog = mongoose.model("Blog");
+  const blog = new Blog({ title: "Post", content: "<p>Body</p>", category: "SAP", subcategory: "Article", author: "editor", authorId: userId });
+  // requireBlogOwnership reads findById().select().lean(); the route awaits findById() directly
+  blog.select = () => ({ lean: async () => ({ authorId: userId }) });
+  mock.method(Blog, "findById", () => blog);
+  mock.method(Media, "findOneAndUpdate", async () => ({ _id: new mongoose.Types.ObjectId(), meta: null }));
+  const removed = mock.method(Media, "deleteOne", async () => ({ deletedCount: 1 }));
+  mock.method(console, "log", () => {});
+
+  const token = jwt.sign({ id: userId, username: "editor", role: "user", sid: sessionId }, process.env.JWT_SECRET);
+  const form = new FormData();
+  form.append("publicationStatus", "live");
+  form.append("image", new Blob([await pngBytes()], { type: "image/png" }), "hero.png");
+  const res = await fetch(`${server.baseUrl}/api/blogs/${blog._id}`, {
+    method: "PUT",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).message, /Publication status must be one of/);
+  assert.equal(removed.mock.callCount(), 1);
+  assert.match(removed.mock.calls[0].arguments[0].publicId, /^blog-images\/\d+-hero\.png$/);
+  assert.deepEqual(await fs.promises.readdir(uploadFolder), []);
+});
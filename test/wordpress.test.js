@@ -0,0 +1,181 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const fs = require("fs");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const path = require("path");
+const sharp = require("sharp");
+const {
+  isPrivateAddress,
+  mediaStorage,
+  parseImageHostsInput,
+  parseWxr,
+  rehostRemoteImage,
+  startServer
+} = require("./helpers");
+
+const { mock } = test;
+
+const wxr = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:excerpt="http://wordpress.org/export/1.2/excerpt/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <title>Old Blog</title>
+  <link>http://169.254.169.254</link>
+  <wp:base_site_url>http://127.0.0.1</wp:base_site_url>
+  <item>
+    <title>Hero image</title>
+    <wp:post_id>7</wp:post_id>
+    <wp:post_type><![CDATA[attachment]]></wp:post_type>
+    <wp:attachment_url><![CDATA[https://blog.example.com/wp-content/uploads/hero.jpg]]></wp:attachment_url>
+  </item>
+  <item>
+    <title>Hello &amp; welcome</title>
+    <dc:creator><![CDATA[editor]]></dc:creator>
+    <content:encoded><![CDATA[First paragraph.
+
+Second paragraph.]]></content:encoded>
+    <excerpt:encoded><![CDATA[]]></excerpt:encoded>
+    <wp:post_id>12</wp:post_id>
+    <wp:post_date_gmt><![CDATA[2021-03-04 05:06:07]]></wp:post_date_gmt>
+    <wp:post_name><![CDATA[hello-welcome]]></wp:post_name>
+    <wp:status><![CDATA[publish]]></wp:status>
+    <wp:post_type><![CDATA[post]]></wp:post_type>
+    <category domain="category" nicename="sap"><![CDATA[SAP]]></category>
+    <category domain="post_tag" nicename="abap"><![CDATA[ABAP]]></category>
+    <wp:postmeta>
+      <wp:meta_key><![CDATA[_thumbnail_id]]></wp:meta_key>
+      <wp:meta_value><![CDATA[7]]></wp:meta_value>
+    </wp:postmeta>
+  </item>
+  <item>
+    <title>Unfinished</title>
+    <wp:post_id>13</wp:post_id>
+    <wp:post_date_gmt><![CDATA[0000-00-00 00:00:00]]></wp:post_date_gmt>
+    <wp:status><![CDATA[draft]]></wp:status>
+    <wp:post_type><![CDATA[post]]></wp:post_type>
+  </item>
+</channel>
+</rss>`;
+
+test("parseWxr reads posts and attachment URLs", () => {
+  const { title, posts, attachments } = parseWxr(wxr);
+  assert.equal(title, "Old Blog");
+  assert.equal(attachments.get("7"), "https://blog.example.com/wp-content/uploads/hero.jpg");
+  assert.equal(posts.length, 2);
+
+  const [post, draft] = posts;
+  assert.equal(post.title, "Hello & welcome");
+  assert.equal(post.slug, "hello-welcome");
+  assert.equal(post.creator, "editor");
+  assert.equal(post.status, "publish");
+  assert.equal(post.date.toISOString(), "2021-03-04T05:06:07.000Z");
+  assert.deepEqual(post.categories, ["SAP"]);
+  assert.deepEqual(post.tags, ["ABAP"]);
+  assert.equal(post.thumbnailId, "7");
+  assert.equal(draft.date, null);
+});
+
+test("parseWxr does not trust hosts named in the file", () => {
+  assert.equal(parseWxr(wxr).hosts, undefined);
+});
+
+test("parseWxr rejects files that are not WordPress exports", () => {
+  assert.throws(() => parseWxr("<html><body>nope</body></html>"), /Not a WordPress export/);
+});
+
+test("parseImageHostsInput accepts host names only", () => {
+  assert.deepEqual(parseImageHostsInput("blog.example.com, CDN.example.com").hosts, ["blog.example.com", "cdn.example.com"]);
+  assert.deepEqual(parseImageHostsInput(["blog.example.com"]).hosts, ["blog.example.com"]);
+  assert.deepEqual(parseImageHostsInput(undefined).hosts, []);
+  assert.match(parseImageHostsInput("http://blog.example.com/").error, /plain host names/);
+  assert.match(parseImageHostsInput("localhost").error, /plain host names/);
+});
+
+test("isPrivateAddress blocks internal, loopback and link-local ranges", () => {
+  ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+    "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "not-an-ip"]
+    .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  ["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111"]
+    .forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test("rehostRemoteImage never connects to private addresses", async (t) => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    res.end("internal");
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  const { port } = server.address();
+
+  await assert.rejects(rehostRemoteImage(`http://127.0.0.1:${port}/a.png`), /private address 127\.0\.0\.1/);
+  await assert.rejects(rehostRemoteImage(`http://[::1]:${port}/a.png`), /private address ::1/);
+  await assert.rejects(rehostRemoteImage(`http://localhost:${port}/a.png`), /private address/);
+  assert.equal(requests, 0);
+});
+
+test("storeBuffer names files by their real format and refuses SVG", async () => {
+  const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+  await assert.rejects(mediaStorage.storeBuffer(svg, "logo.png"), /not a supported image/);
+
+  const png = await sharp({ create: { width: 2, height: 2, channels: 3, background: "#000" } }).png().toBuffer();
+  const file = await mediaStorage.storeBuffer(png, "page.html");
+  try {
+    assert.match(file.filename, /^blog-images\/\d+-page\.png$/);
+  } finally {
+    await fs.promises.unlink(path.join(process.env.UPLOAD_DIR, file.filename));
+  }
+});
+
+test("WordPress import removes images re-hosted for posts that fail", async (t) => {
+  const server = await startServer();
+  t.after(async () => {
+    mock.restoreAll();
+    await server.close();
+  });
+  mock.method(mongoose.model("Session"), "findById", () => ({
+    select: () => ({
+      populate: async () => ({ user: { isActive: true, role: "admin" }, revokedAt: null, expiresAt: new Date(Date.now() + 60000) })
+    })
+  }));
+  mock.method(mongoose.model("Subcategory"), "findOne", () => ({ collation: async () => ({ name: "Article" }) }));
+  // No managed category matches, and creating one fails after the images were fetched
+  const Category = mongoose.model("Category");
+  mock.method(Category, "findOne", () => ({ collation: async () => null }));
+  mock.method(Category, "find", () => ({ select: async () => [] }));
+  mock.method(Category, "exists", async () => {
+    throw new Error("Category store unavailable");
+  });
+  mock.method(mongoose.model("Blog"), "exists", async () => null);
+  const Media = mongoose.model("Media");
+  mock.method(Media, "findOneAndUpdate", async () => ({ _id: new mongoose.Types.ObjectId(), meta: null }));
+  const removed = mock.method(Media, "deleteOne", async () => ({ deletedCount: 1 }));
+  const png = await sharp({ create: { width: 2, height: 2, channels: 3, background: "#000" } }).png().toBuffer();
+  const fetched = mock.method(axios, "get", async () => ({ data: png, headers: { "content-type": "image/jpeg" } }));
+  mock.method(console, "error", () => {});
+
+  const token = jwt.sign({ id: "u1", username: "admin", role: "admin", sid: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET);
+  const form = new FormData();
+  form.append("file", new Blob([wxr], { type: "text/xml" }), "export.xml");
+  form.append("imageHosts", "blog.example.com");
+  const res = await fetch(`${server.baseUrl}/api/import/wordpress`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}` },
+    body: form
+  });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(body.summary, { failed: 2 });
+  assert.equal(body.report[0].error, "Category store unavailable");
+  assert.equal(fetched.mock.callCount(), 1);
+  assert.equal(removed.mock.callCount(), 1);
+  const { publicId } = removed.mock.calls[0].arguments[0];
+  assert.match(publicId, /^blog-images\/\d+-hero\.png$/);
+  assert.equal(fs.existsSync(path.join(process.env.UPLOAD_DIR, publicId)), false);
+});